@@ -3,34 +3,68 @@ import { Client } from "@notionhq/client";
 import { google } from "googleapis";
 import { auth } from "google-auth-library";
 import { distance } from "fastest-levenshtein";
+import { parse as parseCsv } from "csv-parse/sync";
+import ExcelJS from "exceljs";
+import express from "express";
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+import { appendFileSync, existsSync, readFileSync, realpathSync, statSync, writeFileSync } from "node:fs";
+import { basename, extname } from "node:path";
+import { pathToFileURL } from "node:url";
 
 // ===================== SECTION: Environment & Client Initialization =====================
 console.log("🌍 Environment check:", {
-  NOTION_API_KEY:           !!process.env.NOTION_API_KEY,
-  NOTION_DATABASE_ID:       !!process.env.NOTION_DATABASE_ID,
-  GAPI_SERVICE_ACCOUNT_KEY: !!process.env.GAPI_SERVICE_ACCOUNT_KEY,
-  GOOGLE_SHEET_ID_INCOMING: !!process.env.GOOGLE_SHEET_ID_INCOMING,
-  GOOGLE_SHEET_ID_REFS:     !!process.env.GOOGLE_SHEET_ID_REFS,
+  NOTION_API_KEY:               !!process.env.NOTION_API_KEY,
+  NOTION_DATABASE_ID:           !!process.env.NOTION_DATABASE_ID,
+  NOTION_REFERRERS_DATABASE_ID: !!process.env.NOTION_REFERRERS_DATABASE_ID,
+  GAPI_SERVICE_ACCOUNT_KEY:     !!process.env.GAPI_SERVICE_ACCOUNT_KEY,
+  GOOGLE_SHEET_ID_INCOMING:     !!process.env.GOOGLE_SHEET_ID_INCOMING,
+  GOOGLE_SHEET_ID_REFS:         !!process.env.GOOGLE_SHEET_ID_REFS,
 });
 
+// True when run as `node index.js`, false when imported (e.g. by the tests in test/).
+const IS_ENTRY_POINT = !!process.argv[1] && existsSync(process.argv[1]) &&
+  import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href;
+
+// Commands that never call Google or Notion run without credentials, and so does
+// an import of this module: the importer passes its own clients to useClients.
+const OFFLINE_COMMAND = process.argv.includes("--test-rules") || !IS_ENTRY_POINT;
+// File imports (--import-file) only talk to Notion.
+const NEEDS_GOOGLE = !OFFLINE_COMMAND && !process.argv.includes("--import-file");
+
 let json_data;
 try {
   json_data = JSON.parse(process.env.GAPI_SERVICE_ACCOUNT_KEY);
   console.log("✅ Parsed Google service account key");
 } catch (err) {
   console.error("❌ Invalid Google service account key:", err.message);
-  process.exit(1);
+  if (NEEDS_GOOGLE) process.exit(1);
 }
 
-const notion = new Client({ auth: process.env.NOTION_API_KEY, timeoutMs: 120000 });
+let notion = new Client({ auth: process.env.NOTION_API_KEY, timeoutMs: 120000 });
+
+// Sheet write-back (see Sheet Write-Back) is opt-in and the only reason to ask for
+// write access to the sheets.
+const WRITE_BACK = process.env.SHEET_WRITE_BACK === "true";
+
+const google_client = json_data ? auth.fromJSON(json_data) : null;
+if (google_client) google_client.scopes = [WRITE_BACK
+  ? "https://www.googleapis.com/auth/spreadsheets"
+  : "https://www.googleapis.com/auth/spreadsheets.readonly"];
+let sheets = google.sheets({ version: "v4", auth: google_client });
 
-const google_client = auth.fromJSON(json_data);
-google_client.scopes = ["https://www.googleapis.com/auth/spreadsheets.readonly"];
-const sheets = google.sheets({ version: "v4", auth: google_client });
+// Replaces the Notion and/or Google Sheets client, e.g. with the in-memory fakes in
+// test/fakes.
+function useClients({ notion: notionClient, sheets: sheetsClient } = {}) {
+  if (notionClient) { notion = notionClient; importerUser = null; }
+  if (sheetsClient) sheets = sheetsClient;
+}
 
 // ===================== SECTION: Retry + Sleep Helpers =====================
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
+// Retries performed by withRetry during this run, for the run report.
+const retryStats = { total: 0, byCode: {} };
+
 const withRetry = async (fn, { tries = 8, baseDelay = 1000 } = {}) => {
   let lastErr;
   for (let i = 0; i < tries; i++) {
@@ -45,8 +79,10 @@ const withRetry = async (fn, { tries = 8, baseDelay = 1000 } = {}) => {
          "notionhq_client_request_timeout"].includes(code) ||
         ["timed out","timeout","socket hang up","fetch failed","terminated"].some(s => msg.includes(s));
       if (transient) {
-        const wait = Math.min(30000, baseDelay * Math.pow(2, i));
+        const wait = retryAfterMs(err) ?? Math.min(30000, baseDelay * Math.pow(2, i));
         console.warn(`⏳ Retry ${i+1}/${tries} (${code}): waiting ${wait}ms…`);
+        retryStats.total++;
+        retryStats.byCode[code] = (retryStats.byCode[code] || 0) + 1;
         await sleep(wait);
         continue;
       }
@@ -56,23 +92,160 @@ const withRetry = async (fn, { tries = 8, baseDelay = 1000 } = {}) => {
   throw lastErr;
 };
 
+// Retry-After from a Notion (fetch Headers) or Google (gaxios) error, in ms.
+// Only the delta-seconds form is handled; Notion does not send HTTP dates.
+function retryAfterMs(err) {
+  const raw = err?.headers?.get?.("retry-after") ?? err?.response?.headers?.["retry-after"];
+  const secs = Number(raw);
+  return raw != null && raw !== "" && Number.isFinite(secs) ? Math.min(60000, Math.max(0, secs * 1000)) : null;
+}
+
+// ===================== SECTION: Request Scheduler =====================
+// All Notion calls share one token bucket sized to Notion's average limit of
+// ~3 requests/s (NOTION_RATE_LIMIT), so rows can be processed in parallel
+// (IMPORT_CONCURRENCY) without tripping 429s. A 429 with Retry-After pauses the
+// whole bucket, not just the request that hit it. Work on one Notion page (or
+// one Submission ID) is serialised with withKeyLock so concurrent rows cannot
+// interleave block appends on a page or create the same page twice.
+const NOTION_RATE_LIMIT  = Number(process.env.NOTION_RATE_LIMIT) || 3;
+const IMPORT_CONCURRENCY = Math.max(1, Number(process.env.IMPORT_CONCURRENCY) || 4);
+
+function createTokenBucket(ratePerSec, burst = ratePerSec) {
+  let tokens = burst;
+  let last = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * ratePerSec);
+    last = now;
+  };
+
+  async function acquire() {
+    for (;;) {
+      const paused = pausedUntil - Date.now();
+      if (paused > 0) { await sleep(paused); continue; }
+      refill();
+      if (tokens >= 1) { tokens -= 1; return; }
+      await sleep(Math.ceil(((1 - tokens) / ratePerSec) * 1000));
+    }
+  }
+
+  return {
+    // Waiters are queued so tokens are handed out first come, first served.
+    take: () => (queue = queue.then(acquire)),
+    pauseFor: (ms) => { pausedUntil = Math.max(pausedUntil, Date.now() + ms); },
+  };
+}
+
+const notionBucket = createTokenBucket(NOTION_RATE_LIMIT);
+
+const notionCall = (fn) => withRetry(async () => {
+  await notionBucket.take();
+  try {
+    return await fn();
+  } catch (err) {
+    const wait = retryAfterMs(err);
+    if (wait !== null) notionBucket.pauseFor(wait);
+    throw err;
+  }
+});
+
+const keyLocks = new Map();
+
+// Runs fn once every earlier fn for the same key has settled.
+function withKeyLock(key, fn) {
+  const prev = keyLocks.get(key) || Promise.resolve();
+  const run  = prev.then(fn, fn);
+  const tail = run.catch(() => {});
+  keyLocks.set(key, tail);
+  tail.then(() => { if (keyLocks.get(key) === tail) keyLocks.delete(key); });
+  return run;
+}
+
+// Maps items through fn with at most `limit` in flight; results keep input order.
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// ===================== SECTION: Command Line =====================
+const ARGS = process.argv.slice(2);
+const hasFlag = (flag) => ARGS.includes(flag);
+
+// Positional values following a flag, e.g. `--replay-dead-letters id1 id2`.
+function flagValues(flag) {
+  const i = ARGS.indexOf(flag);
+  if (i === -1) return [];
+  const rest = ARGS.slice(i + 1);
+  const end = rest.findIndex(a => a.startsWith("--"));
+  return end === -1 ? rest : rest.slice(0, end);
+}
+
+// ===================== SECTION: Dry Run =====================
+// `node index.js --dry-run` runs the full pipeline — sheets are read and the
+// database is queried — but every Notion write is replaced by a stub response.
+// Blocks "created" in a dry run have ids prefixed with DRY_RUN_PREFIX; listing
+// their children returns nothing and retrieving such a page returns it without
+// properties, so the processing code runs unchanged.
+const DRY_RUN = hasFlag("--dry-run");
+const DRY_RUN_PREFIX = "dry-run-";
+let dryRunSeq = 0;
+const dryRunId = (kind) => `${DRY_RUN_PREFIX}${kind}-${++dryRunSeq}`;
+
+const dryRunWrites = {
+  "pages.create":           (a) => ({ id: dryRunId("page"), properties: a.properties }),
+  "pages.update":           (a) => ({ id: a.page_id }),
+  "blocks.update":          (a) => ({ id: a.block_id }),
+  "blocks.children.append": (a) => ({ results: (a.children || []).map(() => ({ id: dryRunId("block") })) }),
+};
+
+const write = (method, fn) => (a) =>
+  DRY_RUN ? Promise.resolve(dryRunWrites[method](a)) : notionCall(() => fn(a));
+
 const n = {
   blocks: {
     children: {
-      append: (a) => withRetry(() => notion.blocks.children.append(a)),
-      list:   (a) => withRetry(() => notion.blocks.children.list(a)),
+      append: write("blocks.children.append", (a) => notion.blocks.children.append(a)),
+      list:   (a) => String(a.block_id).startsWith(DRY_RUN_PREFIX)
+        ? Promise.resolve({ results: [], has_more: false })
+        : notionCall(() => notion.blocks.children.list(a)),
     },
-    update: (a) => withRetry(() => notion.blocks.update(a)),
+    update: write("blocks.update", (a) => notion.blocks.update(a)),
   },
   pages: {
-    create: (a) => withRetry(() => notion.pages.create(a)),
-    update: (a) => withRetry(() => notion.pages.update(a)),
+    create:   write("pages.create", (a) => notion.pages.create(a)),
+    update:   write("pages.update", (a) => notion.pages.update(a)),
+    retrieve: (a) => String(a.page_id).startsWith(DRY_RUN_PREFIX)
+      ? Promise.resolve({ id: a.page_id, properties: {} })
+      : notionCall(() => notion.pages.retrieve(a)),
   },
   databases: {
-    query: (a) => withRetry(() => notion.databases.query(a)),
+    query:    (a) => notionCall(() => notion.databases.query(a)),
+    retrieve: (a) => notionCall(() => notion.databases.retrieve(a)),
+  },
+  users: {
+    me: (a) => notionCall(() => notion.users.me(a)),
   },
 };
 
+// The integration's bot user. Blocks it created carry its ID in `created_by`,
+// which tells the importer's own blocks apart from notes the team added by hand.
+let importerUser = null;
+async function importerUserId() {
+  importerUser ||= n.users.me({}).catch((err) => { importerUser = null; throw err; });
+  return (await importerUser).id;
+}
+
 // ===================== SECTION: Name Normalisation =====================
 const DIGIT_MAP = {
   "⁰":"0","¹":"1","²":"2","³":"3","⁴":"4","⁵":"5","⁶":"6","⁷":"7","⁸":"8","⁹":"9",
@@ -98,108 +271,704 @@ function normUrl(s) {
     .trim();
 }
 
-function fuzzyMatch(a, b, threshold = 2) {
-  if (!a || !b) return false;
+// Domain part of a website URL or an email address.
+const domainOf = (s) => (s || "").includes("@")
+  ? s.split("@").pop().trim().toLowerCase()
+  : normUrl(s).split(/[/?#]/)[0];
+
+// 0..1 similarity of two names after normalisation. Short names (< 5 chars) only
+// count when identical, which keeps pairs like Movix→Monia apart.
+function nameSimilarity(a, b) {
   const na = normName(a), nb = normName(b);
-  if (na.length < 5 || nb.length < 5) return na === nb;
-  return distance(na, nb) <= threshold;
+  if (!na || !nb) return 0;
+  if (na.length < 5 || nb.length < 5) return na === nb ? 1 : 0;
+  return 1 - distance(na, nb) / Math.max(na.length, nb.length);
+}
+
+// Legal-form and filler words that say nothing about which company it is.
+const NAME_STOPWORDS = new Set([
+  "the", "and", "of", "gmbh", "ug", "ag", "ltd", "limited", "inc", "llc", "sas", "sarl", "srl",
+  "bv", "nv", "ab", "oy", "as", "co", "company", "group", "holding", "labs", "technologies", "tech",
+]);
+
+const nameTokens = (s) => new Set(normName(s).split(" ").filter(t => t.length > 1 && !NAME_STOPWORDS.has(t)));
+
+// The name without legal forms and filler words, for similarity comparisons.
+const coreName = (s) => [...nameTokens(s)].join(" ");
+
+// Jaccard overlap of the significant name tokens.
+function tokenOverlap(a, b) {
+  const ta = nameTokens(a), tb = nameTokens(b);
+  if (!ta.size || !tb.size) return 0;
+  const shared = [...ta].filter(t => tb.has(t)).length;
+  return shared / (ta.size + tb.size - shared);
 }
 
 // ===================== SECTION: Reference Matching =====================
-// Used ONLY for reference rows — never for incoming founder submissions.
-// 2-of-3 signal system:
-//   1. Startup name fuzzy match  (col 7 vs page title)
-//   2. Founder email exact match (col 8 vs Founder Email property)
-//   3. Company website match     (col 9 vs Company Website property)
-function findReferenceMatch(refRow, existingPages) {
-  const refName    = (refRow[7] || "").trim();
-  const refEmail   = (refRow[8] || "").trim().toLowerCase();
-  const refWebsite = normUrl(refRow[9] || "");
+// Used for reference rows, and for incoming founder submissions only to find
+// standalone [REFERENCE] pages to merge (see Reference Page Merging) — an incoming
+// submission is never matched against another founder's page.
+// Weighted scorer: each signal yields a value in 0..1, multiplied by its weight;
+// the score is the capped sum. Signals:
+//   name        startup name similarity vs page title
+//   tokens      significant-token overlap of the same two names
+//   email       founder email exact match vs Founder Email
+//   website     company website match vs Company Website
+//   emailDomain founder email domain vs website domain (either direction; free-mail
+//               domains never count)
+//   founder     normalised founder name vs Founder Name — used by the duplicate
+//               check only; the reference form has no founder-name question
+// At `autoAttach` or above the reference attaches to the page; between `review`
+// and `autoAttach` it goes to a standalone page marked "Needs review" listing the
+// candidates. Weights and thresholds can be tuned under "referenceMatching" in
+// mapping.json.
+const DEFAULT_REFERENCE_MATCHING = {
+  weights: { name: 0.35, tokens: 0.15, email: 0.45, website: 0.45, emailDomain: 0.3 },
+  autoAttach: 0.7,
+  review: 0.4,
+};
+
+const FREE_MAIL_DOMAINS = new Set([
+  "gmail.com", "googlemail.com", "outlook.com", "hotmail.com", "live.com", "msn.com", "yahoo.com",
+  "icloud.com", "me.com", "aol.com", "gmx.de", "gmx.net", "web.de", "t-online.de", "proton.me",
+  "protonmail.com", "mail.com",
+]);
 
-  let bestPage  = null;
-  let bestScore = 0;
+const REFERENCE_PREFIX = "[REFERENCE] ";
+const isReferencePage = (page) => plainText(page?.properties?.Name?.title).startsWith(REFERENCE_PREFIX);
 
-  for (const page of existingPages) {
-    const pageTitle   = page?.properties?.Name?.title?.[0]?.text?.content || "";
-    const pageEmail   = (page?.properties?.["Founder Email"]?.email || "").toLowerCase();
-    const pageWebsite = normUrl(page?.properties?.["Company Website"]?.url || "");
+function referenceMatchingConfig() {
+  const custom = MAPPING.referenceMatching || {};
+  return {
+    ...DEFAULT_REFERENCE_MATCHING, ...custom,
+    weights: { ...DEFAULT_REFERENCE_MATCHING.weights, ...custom.weights },
+  };
+}
 
-    let signals = 0;
-    if (refName    && fuzzyMatch(refName, pageTitle))                     signals++;
-    if (refEmail   && pageEmail   && refEmail === pageEmail)              signals++;
-    if (refWebsite && pageWebsite && normUrl(refWebsite) === pageWebsite) signals++;
+const sameDomain = (emailDomain, websiteDomain) =>
+  !!emailDomain && !!websiteDomain && !FREE_MAIL_DOMAINS.has(emailDomain) &&
+  (websiteDomain === emailDomain || websiteDomain.endsWith(`.${emailDomain}`));
 
-    if (signals >= 2 && signals > bestScore) {
-      bestScore = signals;
-      bestPage  = page;
-    }
+// Normalised matching fields of a reference row.
+function referenceFields(refRow) {
+  const cols = MAPPING.references;
+  return {
+    name:    cell(refRow, cols.startupName),
+    email:   cell(refRow, cols.founderEmail).toLowerCase(),
+    website: normUrl(cell(refRow, cols.companyWebsite)),
+  };
+}
+
+// The same fields read from a Notion page, e.g. a standalone [REFERENCE] page.
+function pageMatchFields(page) {
+  return {
+    name:    pageTitleOf(page).replace(REFERENCE_PREFIX, ""),
+    email:   (page?.properties?.["Founder Email"]?.email || "").toLowerCase(),
+    website: normUrl(page?.properties?.["Company Website"]?.url || ""),
+    founder: plainText(page?.properties?.["Founder Name"]?.rich_text),
+  };
+}
+
+// Signal values (0..1) for one reference against one page.
+function referenceSignals(ref, page) {
+  const { name: pageTitle, email: pageEmail, website: pageWebsite, founder: pageFounder } = pageMatchFields(page);
+
+  const similarity = ref.name ? nameSimilarity(coreName(ref.name), coreName(pageTitle)) : 0;
+  const founder    = ref.founder && pageFounder ? nameSimilarity(ref.founder, pageFounder) : 0;
+  return {
+    // Below 0.5 a name similarity is noise, not evidence.
+    name:        similarity >= 0.5 ? similarity : 0,
+    tokens:      ref.name ? tokenOverlap(ref.name, pageTitle) : 0,
+    email:       ref.email && ref.email === pageEmail ? 1 : 0,
+    website:     ref.website && ref.website === pageWebsite ? 1 : 0,
+    emailDomain: sameDomain(domainOf(ref.email), domainOf(pageWebsite)) ||
+                 sameDomain(domainOf(pageEmail), domainOf(ref.website)) ? 1 : 0,
+    founder:     founder >= 0.85 ? founder : 0,
+  };
+}
+
+function scoreCandidate(ref, page, weights) {
+  const values = referenceSignals(ref, page);
+  const signals = Object.entries(values)
+    .filter(([name, value]) => value > 0 && weights[name])
+    .map(([name, value]) => ({ name, value: +value.toFixed(2), weight: weights[name], score: +(value * weights[name]).toFixed(3) }));
+  const score = Math.min(1, signals.reduce((sum, s) => sum + s.score, 0));
+  return { page, score: +score.toFixed(3), signals };
+}
+
+// Returns { decision, best, candidates }: decision is "attach", "review" or "none";
+// best is the top-scoring { page, score, signals }; candidates are the pages at or
+// above the review threshold, best first.
+function scoreReference(ref, existingPages) {
+  const { weights, autoAttach, review } = referenceMatchingConfig();
+
+  // Standalone [REFERENCE] pages may absorb a confident match, but are never
+  // review candidates: a repeat reference to an unknown startup simply joins its
+  // page through the title lookup in processReferenceRow.
+  const candidates = existingPages
+    .map(page => scoreCandidate(ref, page, weights))
+    .filter(c => c.score >= autoAttach || (c.score >= review && !isReferencePage(c.page)))
+    .sort((a, b) => b.score - a.score);
+
+  const best = candidates[0] || null;
+  const decision = !best ? "none" : best.score >= autoAttach ? "attach" : "review";
+  return { decision, best, candidates };
+}
+
+const findReferenceMatch = (refRow, existingPages) => scoreReference(referenceFields(refRow), existingPages);
+
+const describeSignals = (signals) => signals.map(s => `${s.name} ${s.value}×${s.weight}`).join(", ");
+
+// ===================== SECTION: Duplicate Check =====================
+// A founder who applies twice, or to two entities, gets a second page — incoming
+// submissions are never merged. Instead a new page is scored against existing
+// founder pages with the reference-matching signals (own weights, so a shared
+// founder email alone is enough) and, at or above `threshold`, gets
+// "Duplicate Check" = "Possible duplicate" and the best matches in the
+// "Possible Duplicate Of" relation for the deal team to resolve by hand.
+// Tuned under "duplicateCheck" in mapping.json.
+const DEFAULT_DUPLICATE_CHECK = {
+  weights: { name: 0.4, tokens: 0.1, email: 0.6, website: 0.5, emailDomain: 0.3, founder: 0.2 },
+  threshold: 0.5,
+  maxCandidates: 3,
+};
+
+function duplicateCheckConfig() {
+  const custom = MAPPING.duplicateCheck || {};
+  return {
+    ...DEFAULT_DUPLICATE_CHECK, ...custom,
+    weights: { ...DEFAULT_DUPLICATE_CHECK.weights, ...custom.weights },
+  };
+}
+
+// Founder pages scoring at or above the threshold against the given fields, best
+// first. [REFERENCE] pages are left to the merge in absorbReferencePages.
+function findPossibleDuplicates(fields, existingPages) {
+  const { weights, threshold, maxCandidates } = duplicateCheckConfig();
+  return existingPages
+    .filter(page => !isReferencePage(page))
+    .map(page => scoreCandidate(fields, page, weights))
+    .filter(c => c.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxCandidates);
+}
+
+// ===================== SECTION: Amount Parsing =====================
+// Free-text financial answers ("€1.5M", "1,200", "2–3 Mio. EUR", "ca. 500k $",
+// "20 %") parsed into numbers. Both decimal conventions are understood: when "."
+// and "," both occur the later one is the decimal mark; a single separator
+// followed by exactly three digits groups thousands ("1,200"), any other single
+// separator is a decimal mark. With a k/M/B suffix that three-digit case is
+// ambiguous — "1.250M" (1.25M) or German "5.000k" (5,000k) — and stays unparsed
+// rather than risk a 1000× error. Spaces, apostrophes and thin spaces group
+// thousands too ("1 500 000").
+// Ranges give their midpoint. Two amounts that are not a range ("500k in 2022"),
+// mixed currencies, words other than a scale or currency after the number, or no
+// number at all leave the answer unparsed.
+const SCALE_WORDS = [
+  ["k|tsd|thousand|tausend",                        1e3],
+  ["m|mn|mm|mio|million|millions|millionen",        1e6],
+  ["b|bn|billion|billions|mrd|milliarde|milliarden", 1e9],
+].map(([words, factor]) => [new RegExp(`^(${words})(eur|usd|gbp|chf)?$`), factor]);
+
+const CURRENCY_TOKENS = [
+  [/€|\beur\b|\beuros?\b/,           "EUR", /^(eur|euros?)$/],
+  [/\$|\busd\b|\bdollars?\b/,        "USD", /^(usd|dollars?)$/],
+  [/£|\bgbp\b|\bpounds?\b/,          "GBP", /^(gbp|pounds?)$/],
+  [/\bchf\b|\bfranken\b|\bfrancs?\b/, "CHF", /^(chf|franken|francs?)$/],
+];
+
+// Answers that mean "nothing to report" rather than an unparseable amount.
+const NO_AMOUNT = /^(n\/?a|none|nil|-+|keine?s?|tbd|tba|\/)$/i;
+
+// EUR per unit of each currency; override or extend under "currencies" in mapping.json.
+const DEFAULT_CURRENCY_RATES = { EUR: 1, USD: 0.92, GBP: 1.17, CHF: 1.05 };
+const currencyRates = () => ({ ...DEFAULT_CURRENCY_RATES, ...MAPPING.currencies });
+
+function decimalValue(digits, scaled) {
+  const marks = digits.match(/[.,]/g) || [];
+  const last = Math.max(digits.lastIndexOf("."), digits.lastIndexOf(","));
+  const threeDigitGroup = marks.length === 1 && /^[.,]\d{3}$/.test(digits.slice(last));
+  if (scaled && threeDigitGroup) return NaN;                                        // 1.250M / 5.000k
+  let decimalAt = -1;
+  if (new Set(marks).size > 1) decimalAt = last;                                   // 1.234,5 / 1,234.5
+  else if (marks.length === 1 && !threeDigitGroup) decimalAt = last;                // 1,5 / 1.25M, not 1,200
+  const int  = (decimalAt >= 0 ? digits.slice(0, decimalAt) : digits).replace(/\D/g, "");
+  const frac = decimalAt >= 0 ? digits.slice(decimalAt + 1).replace(/\D/g, "") : "";
+  return Number(frac ? `${int}.${frac}` : int);
+}
+
+// Returns { value, min, max, currency, percent, scaled } in the answer's own
+// currency units (k/M/B applied; `scaled` tells whether any was), or null.
+function parseAmount(text) {
+  const lower = String(text ?? "").toLowerCase()
+    .replace(/[–—−]/g, "-")
+    .replace(/\b(between|zwischen|ca|circa|approx|approximately|about|around|roughly|up to|bis zu)\b\.?|~|≈/g, " ")
+    .replace(/\s+(to|bis|and|und)\s+/g, " - ");
+
+  const currencies = new Set(CURRENCY_TOKENS.filter(([re]) => re.test(lower)).map(([, code]) => code));
+  if (currencies.size > 1) return null;
+  const percent = /%|\bpercent\b|\bprozent\b/.test(lower);
+
+  const amounts = [];
+  for (const m of lower.matchAll(/(\d+(?:[.,'’  ]\d+| \d{3}(?!\d))*)\s*([a-z]+)?/g)) {
+    const [, digits, word = ""] = m;
+    const scale = SCALE_WORDS.find(([re]) => re.test(word))?.[1];
+    const known = !word || scale || CURRENCY_TOKENS.some(([, , re]) => re.test(word)) || /^(percent|prozent)$/.test(word);
+    if (!known) return null;
+    amounts.push({ digits, scale, start: m.index, end: m.index + m[0].length });
+  }
+  if (!amounts.length || amounts.length > 2) return null;
+  if (amounts.length === 2 && !lower.slice(amounts[0].end, amounts[1].start).includes("-")) return null;
+
+  // "2-3M": a range's lower bound without a suffix takes the upper bound's.
+  if (amounts.length === 2 && !amounts[0].scale) amounts[0].scale = amounts[1].scale;
+  const values = amounts.map(a => decimalValue(a.digits, !!a.scale) * (a.scale || 1));
+  if (values.some(v => !Number.isFinite(v))) return null;
+
+  const [min, max] = [Math.min(...values), Math.max(...values)];
+  return {
+    value: (min + max) / 2, min, max, currency: [...currencies][0] || null,
+    percent, scaled: amounts.some(a => a.scale),
+  };
+}
+
+// Amount in kEUR, or null. `unit` is what a bare number means: "kEUR" for
+// questions asked in kEUR ("1500" → 1500), otherwise EUR ("1500" → 1.5).
+function amountInKEur(text, unit = "EUR") {
+  const parsed = parseAmount(text);
+  if (!parsed || parsed.percent) return null;
+  const rate = currencyRates()[parsed.currency || "EUR"];
+  if (rate === undefined) return null;
+  const value = parsed.value * rate;
+  return +(unit === "kEUR" && !parsed.scaled ? value : value / 1000).toFixed(3);
+}
+
+// Percentage points ("20 %", "20", "5-8%" → 20, 20, 6.5), or null.
+function percentValue(text) {
+  const parsed = parseAmount(text);
+  if (!parsed || parsed.currency || parsed.scaled) return null;
+  return +parsed.value.toFixed(4);
+}
+
+// ===================== SECTION: Column Mapping =====================
+// Sheet columns are resolved by header text (row 1), never by position, so
+// adding or reordering questions in the form is a mapping.json edit only.
+// Header comparison ignores case and repeated whitespace.
+const MAPPING_FILE = process.env.MAPPING_FILE || new URL("./mapping.json", import.meta.url);
+const MAPPING = JSON.parse(readFileSync(MAPPING_FILE, "utf8"));
+
+// Notion property builders, keyed by the `type` used in mapping.json.
+const PROPERTY_BUILDERS = {
+  title:        (v) => ({ title: textItems(v).slice(0, NOTION_ITEM_LIMIT) }),
+  rich_text:    (v) => ({ rich_text: textItems(v).slice(0, NOTION_ITEM_LIMIT) }),
+  email:        (v) => ({ email: v }),
+  url:          (v) => ({ url: v }),
+  // Notion rejects select options that contain commas
+  select:       (v) => ({ select: { name: v.replace(/,/g, " —") } }),
+  multi_select: (v) => ({ multi_select: v.split(",").map(s => ({ name: s.trim() })).filter(s => s.name) }),
+  // Numeric builders return null for answers parseAmount cannot read; see buildProperties.
+  number:       (v) => { const parsed = parseAmount(v); return parsed && !parsed.currency ? { number: parsed.value } : null; },
+  amount:       (v, spec) => { const kEur = amountInKEur(v, spec.unit); return kEur === null ? null : { number: kEur }; },
+  percent:      (v) => { const pct = percentValue(v); return pct === null ? null : { number: pct }; },
+  date:         (v) => ({ date: { start: new Date(v).toISOString() } }),
+  files:        (v, spec) => ({ files: [{ name: spec.property, type: "external", external: { url: v } }] }),
+};
+
+const normHeader = (h) => String(h ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+// Form toggle entries are either a header string or { header, label }.
+const toggleSpec = (entry) => typeof entry === "string" ? { header: entry, label: entry } : { label: entry.header, ...entry };
+
+function mappedHeaders(section) {
+  const entities = Object.values(section.entities || {});
+  const headers = [
+    section.submissionId, section.entity, section.title,
+    section.startupName, section.founderEmail, section.companyWebsite,
+    section.referrerName, section.referrerEmail, section.anonymous, ...(section.anonymousRedacts || []),
+    section.submittedAt, section.sectors,
+    ...[section, ...entities].flatMap(s => (s.properties || []).map(p => p.header)),
+    ...[section, ...entities].flatMap(s => (s.formToggles || []).map(t => toggleSpec(t).header)),
+    ...(section.table || []).map(t => toggleSpec(t).header),
+  ];
+  return [...new Set(headers.filter(Boolean))];
+}
+
+// Maps every header named in the mapping section to its column index in the sheet.
+// Missing identity columns abort; other missing columns are reported by the schema
+// drift check and otherwise ignored.
+function resolveColumns(headerRow, section, sectionName) {
+  const index = new Map((headerRow || []).map((h, i) => [normHeader(h), i]));
+  const required = [section.submissionId, section.title, section.startupName].filter(Boolean);
+  const columns = {};
+  const missing = [];
+  for (const header of mappedHeaders(section)) {
+    const i = index.get(normHeader(header));
+    if (i === undefined) missing.push(header);
+    else columns[header] = i;
+  }
+  const missingRequired = missing.filter(h => required.includes(h));
+  if (missingRequired.length) {
+    throw new Error(`${sectionName} sheet is missing required column(s): ${missingRequired.map(h => `"${h}"`).join(", ")}`);
+  }
+  return columns;
+}
+
+// Turns a positional sheet row into a record keyed by mapping header text.
+function rowToRecord(row, columns, rowNumber) {
+  const record = { _row: rowNumber };
+  for (const [header, i] of Object.entries(columns)) record[header] = row[i] ?? "";
+  return record;
+}
+
+const cell = (record, header) => (header ? String(record[header] ?? "").trim() : "");
+
+const NUMERIC_TYPES = new Set(["number", "amount", "percent"]);
+// Lists the number properties whose answers could not be parsed; the raw answer
+// stays in the Form toggle or the spec's `raw` property.
+const UNPARSED_PROP = "Unparsed Amounts";
+
+// Builds the Notion properties for a record. A spec's optional `raw` names a
+// rich_text property that receives the answer verbatim.
+function buildProperties(record, specs) {
+  const props = {};
+  const unparsed = [];
+  for (const spec of specs || []) {
+    const value = cell(record, spec.header);
+    if (!value || (NUMERIC_TYPES.has(spec.type) && NO_AMOUNT.test(value))) continue;
+    const build = PROPERTY_BUILDERS[spec.type];
+    if (!build) throw new Error(`Unsupported property type "${spec.type}" for "${spec.property}" in mapping`);
+    const prop = build(value, spec);
+    if (prop) props[spec.property] = prop;
+    else unparsed.push(spec.property);
+    if (spec.raw) props[spec.raw] = PROPERTY_BUILDERS.rich_text(value);
   }
+  if (unparsed.length) props[UNPARSED_PROP] = { multi_select: unparsed.map(name => ({ name })) };
+  return props;
+}
+
+// Notion property type of everything buildProperties may write for these specs.
+function specPropertyTypes(specs) {
+  const types = {};
+  for (const spec of specs || []) {
+    types[spec.property] = NUMERIC_TYPES.has(spec.type) ? "number" : spec.type;
+    if (spec.raw) types[spec.raw] = "rich_text";
+    if (NUMERIC_TYPES.has(spec.type)) types[UNPARSED_PROP] = "multi_select";
+  }
+  return types;
+}
 
-  return bestPage;
+// ===================== SECTION: Entity Routing =====================
+// Each answer to the entity question is an entry under "incoming.entities" in
+// mapping.json: its target database, status property and initial status, plus the
+// properties and Form questions it adds to the shared ones in "incoming" (an entity
+// property with the same name replaces the shared one). A new fund vehicle is a
+// new entry there, not a code change.
+//
+// `database` is a database id; without it the id comes from the environment
+// variable named by `databaseEnv` (default NOTION_DATABASE_ID). References and
+// [REFERENCE] pages go to "references.database" / "references.databaseEnv" the
+// same way.
+const DEFAULT_DATABASE_ENV = "NOTION_DATABASE_ID";
+const databaseIdOf = (config = {}) => config.database || process.env[config.databaseEnv || DEFAULT_DATABASE_ENV];
+
+function buildEntities(section) {
+  return Object.entries(section.entities || {}).map(([name, config]) => {
+    const properties = new Map([...(section.properties || []), ...(config.properties || [])].map(p => [p.property, p]));
+    const toggles    = new Map([...(section.formToggles || []), ...(config.formToggles || [])].map(t => [toggleSpec(t).label, t]));
+    return {
+      name,
+      key:            normHeader(name),
+      databaseId:     databaseIdOf(config),
+      statusProperty: config.statusProperty,
+      initialStatus:  config.initialStatus || "Form Inbound",
+      properties:     [...properties.values()],
+      formToggles:    [...toggles.values()],
+    };
+  });
 }
 
-// ===================== SECTION: Column Routing =====================
-const ENTITY_PROP_MAP = {
-  "moonstone vc (cleantech, healthtech, deeptech)": "Moonstone Status",
-  "urban venture vc (media-driven growth)":         "Urban Venture Status",
-  "moonstone vc (human sovereignty)":               "HSF",
-  "moonstone search fund":                          "Moonstone Searchfund",
+const ENTITIES = buildEntities(MAPPING.incoming);
+const entityFor = (value) => ENTITIES.find(e => e.key === normHeader(value)) || null;
+
+// Used for rows whose entity answer is not configured (e.g. changed after import).
+const SHARED_ENTITY = { properties: MAPPING.incoming.properties || [], formToggles: MAPPING.incoming.formToggles || [] };
+
+const REFERENCE_DATABASE_ID = databaseIdOf(MAPPING.references);
+// Every database the importer reads from; lookups and duplicate checks span all.
+const DATABASE_IDS = [...new Set([REFERENCE_DATABASE_ID, ...ENTITIES.map(e => e.databaseId)].filter(Boolean))];
+
+// Database ids come with or without dashes depending on where they were copied from.
+const sameDatabase = (page, databaseId) => !page?.parent?.database_id ||
+  page.parent.database_id.replace(/-/g, "") === String(databaseId).replace(/-/g, "");
+
+// ===================== SECTION: Screening Rules =====================
+// Declarative triage rules for new incoming submissions, read from rules.json
+// (RULES_FILE; no file = no rules). Rules are evaluated in order; every rule whose
+// `when` conditions all hold applies its `set`, later rules overriding earlier
+// ones, and `"stop": true` ends evaluation. The names of the rules that fired are
+// written to the "Triage Rule" property. Rules only run when a page is created,
+// so they never overwrite the deal team's triage.
+//
+// `when` keys are "entity", a Notion property from the entity's mapping, or a Form
+// question label; values are a list (any of, case-insensitive; comma-separated
+// answers match on any item) or an object with `in`, `contains`, `min`, `max`
+// (against amounts in kEUR for amount properties) and/or `empty`. `set` maps property names — or "status" for the entity's status
+// property — to { select | multi_select | people | rich_text | number | checkbox }.
+// `node index.js --test-rules [file]` checks the rules against sample rows offline.
+const RULES_FILE = process.env.RULES_FILE || new URL("./rules.json", import.meta.url);
+const RULES_CONFIG = existsSync(RULES_FILE) ? JSON.parse(readFileSync(RULES_FILE, "utf8")) : { rules: [] };
+const TRIAGE_RULE_PROP = "Triage Rule";
+
+const RULE_VALUE_BUILDERS = {
+  select:       (v) => ({ select: { name: String(v) } }),
+  multi_select: (v) => ({ multi_select: [].concat(v).map(name => ({ name: String(name) })) }),
+  people:       (v) => ({ people: [].concat(v).map(id => ({ object: "user", id })) }),
+  rich_text:    (v) => ({ rich_text: [{ text: { content: String(v) } }] }),
+  number:       (v) => ({ number: Number(v) }),
+  checkbox:     (v) => ({ checkbox: !!v }),
 };
 
-const FORM_TOGGLE_INDICES = [14,15,16,17,18,19,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40];
-
-const QUESTION_LABELS = {
-  14: "Why now?",
-  15: "Tell us about your defensibility.",
-  16: "Which pillar of the Human Sovereignty thesis does your startup address?",
-  17: "What evidential basis supports your core intervention?",
-  18: "How central is media spend to your growth strategy? What would you do with more media firepower?",
-  19: "Which sector, geography, size range and business model are you targeting?",
-  21: "What is the target EBITDA range?",
-  22: "What is your target EV range?",
-  23: "Tell us about your deal sourcing approach.",
-  24: "Tell us about your relevant M&A and operational experience.",
-  25: "What is your current ARR?",
-  26: "What earlier investment did you receive, if any?",
-  27: "Which funds or angels have you had in-depth conversations with?",
-  28: "How is your upcoming round structured?",
-  29: "What is your pre-money valuation?",
-  30: "What is your post-money valuation?",
-  31: "What is your valuation cap?",
-  32: "What is your discount rate?",
-  33: "What is your floor?",
-  34: "What is your interest rate?",
-  35: "What is your use of funds?",
-  36: "Why are you the right person for this?",
-  37: "What is your organisation's full-time headcount?",
-  38: "What is your organisation's team composition?",
-  39: "Did someone suggest you apply to Moonstone? How did you find us?",
-  40: "Anything else?",
+// A `when` field for this row: the text of the entity answer, a mapped property's
+// column or a Form question's column, and its number — the property's parsed value
+// (kEUR for amounts) or the answer read by parseAmount.
+function ruleField(row, entity, field) {
+  if (field === "entity") return { text: entity.name, number: NaN };
+  const property = entity.properties.find(p => p.property === field);
+  const spec = property || entity.formToggles.map(toggleSpec).find(t => t.label === field);
+  const text = spec ? cell(row, spec.header) : "";
+  if (property && NUMERIC_TYPES.has(property.type)) {
+    return { text, number: buildProperties(row, [property])[field]?.number ?? NaN };
+  }
+  return { text, number: parseAmount(text)?.value ?? NaN };
+}
+
+function conditionHolds({ text: value, number }, condition) {
+  const text  = value.toLowerCase();
+  const items = text.split(",").map(s => s.trim()).filter(Boolean);
+  const want  = Array.isArray(condition) || typeof condition !== "object" ? { in: [].concat(condition) } : condition;
+
+  if (want.empty !== undefined && (text === "") !== want.empty) return false;
+  if (want.in && !want.in.some(w => items.includes(String(w).toLowerCase()) || text === String(w).toLowerCase())) return false;
+  if (want.contains && ![].concat(want.contains).some(w => text.includes(String(w).toLowerCase()))) return false;
+  if (want.min !== undefined || want.max !== undefined) {
+    if (Number.isNaN(number)) return false;
+    if (want.min !== undefined && number < want.min) return false;
+    if (want.max !== undefined && number > want.max) return false;
+  }
+  return true;
+}
+
+// Returns { fired: [rule names], properties } for a row of the given entity.
+function evaluateRules(row, entity, rules = RULES_CONFIG.rules || []) {
+  const fired = [];
+  const properties = {};
+  for (const rule of rules) {
+    const holds = Object.entries(rule.when || {})
+      .every(([field, condition]) => conditionHolds(ruleField(row, entity, field), condition));
+    if (!holds) continue;
+
+    fired.push(rule.name);
+    for (const [target, value] of Object.entries(rule.set || {})) {
+      const property = target === "status" ? entity.statusProperty : target;
+      const [type, raw] = Object.entries(value)[0];
+      const build = RULE_VALUE_BUILDERS[type];
+      if (!build) throw new Error(`Unsupported value type "${type}" for "${target}" in rule "${rule.name}"`);
+      properties[property] = build(raw);
+    }
+    if (rule.stop) break;
+  }
+  if (fired.length) properties[TRIAGE_RULE_PROP] = RULE_VALUE_BUILDERS.rich_text(fired.join(", "));
+  return { fired, properties };
+}
+
+// Runs the sample rows of a rules file (default: RULES_FILE) through the rules
+// without touching Google or Notion. Samples are { "row": { "<header>": "..." },
+// "expect": ["<rule name>", ...] }; a sample whose fired rules differ from
+// `expect` fails the command.
+function testRules(file) {
+  const config = file ? JSON.parse(readFileSync(file, "utf8")) : RULES_CONFIG;
+  const rules = config.rules || RULES_CONFIG.rules || [];
+  const samples = config.samples || [];
+  let failures = 0;
+
+  console.log(`🧪 ${rules.length} rule(s), ${samples.length} sample(s)`);
+  samples.forEach((sample, i) => {
+    const row = sample.row || {};
+    const label = sample.name || cell(row, MAPPING.incoming.title) || `sample ${i + 1}`;
+    const entity = entityFor(cell(row, MAPPING.incoming.entity));
+    if (!entity) {
+      console.log(`⚠️  ${label}: unknown entity "${cell(row, MAPPING.incoming.entity)}"`);
+      failures++;
+      return;
+    }
+    const { fired, properties } = evaluateRules(row, entity, rules);
+    const ok = !sample.expect || JSON.stringify(sample.expect) === JSON.stringify(fired);
+    if (!ok) failures++;
+    console.log(`${ok ? "✅" : "❌"} ${label}: ${fired.join(", ") || "no rule fired"}` +
+      (ok ? "" : ` (expected ${sample.expect.join(", ") || "none"})`));
+    for (const [name, value] of Object.entries(properties)) {
+      if (name !== TRIAGE_RULE_PROP) console.log(`     ${name} = ${propertyText(value) || JSON.stringify(value)}`);
+    }
+  });
+
+  if (failures) {
+    console.error(`❌ ${failures} sample(s) failed`);
+    process.exitCode = 1;
+  }
+}
+
+// ===================== SECTION: Response Fingerprints =====================
+// Every imported page stores an "Import Fingerprint": short hashes of each property
+// value and Form answer as last written by the importer. When a form response is
+// edited, comparing fingerprints tells which properties and toggles changed, and
+// comparing the page's current value with the stored hash tells whether the deal
+// team edited that property by hand — in which case the importer leaves it alone.
+// Only mapped properties are ever touched; status selects are never rewritten.
+const FINGERPRINT_PROP    = "Import Fingerprint";
+const FINGERPRINT_VERSION = 1;
+
+const shortHash = (text) => createHash("sha256").update(String(text)).digest("hex").slice(0, 10);
+
+const plainText = (items) => (items || []).map(t => t.text?.content ?? t.plain_text ?? "").join("");
+
+// Comparable text for a property value, whether built by the importer or read back
+// from Notion (which adds ids, annotations and normalises dates).
+const PROPERTY_TEXT = {
+  title:        (v) => plainText(v),
+  rich_text:    (v) => plainText(v),
+  email:        (v) => v || "",
+  url:          (v) => v || "",
+  select:       (v) => v?.name || "",
+  multi_select: (v) => (v || []).map(o => o.name).join(", "),
+  number:       (v) => (v === null || v === undefined ? "" : String(v)),
+  date:         (v) => (v?.start ? new Date(v.start).toISOString() : ""),
+  files:        (v) => (v || []).map(f => f.external?.url || f.file?.url || f.name).join(", "),
 };
 
-const REF_LABELS = {
-  2:  "Submitted at",
-  3:  "Referrer name",
-  4:  "Referrer email",
-  5:  "How do you know us?",
-  6:  "Notes about the reference",
-  7:  "Startup's name",
-  8:  "Founder's email",
-  9:  "Company link",
-  10: "Relevant sectors",
-  11: "Stay anonymous?",
+const EMPTY_PROPERTY = {
+  title: { title: [] }, rich_text: { rich_text: [] }, email: { email: null }, url: { url: null },
+  select: { select: null }, multi_select: { multi_select: [] }, number: { number: null },
+  date: { date: null }, files: { files: [] },
 };
 
+function propertyText(prop) {
+  if (!prop) return "";
+  const type = prop.type || Object.keys(prop).find(k => k in PROPERTY_TEXT);
+  return type ? PROPERTY_TEXT[type](prop[type]) : "";
+}
+
+function buildFingerprint(mappedProps, answers) {
+  const p = {}, q = {};
+  for (const [name, prop] of Object.entries(mappedProps)) {
+    const text = propertyText(prop);
+    if (text) p[name] = shortHash(text);
+  }
+  for (const { label, answer } of answers) q[shortHash(label)] = shortHash(answer);
+  return { v: FINGERPRINT_VERSION, p, q };
+}
+
+// Stored as JSON split over rich_text items (Notion caps each item at 2000 chars).
+function fingerprintProperty(fingerprint) {
+  const json = JSON.stringify(fingerprint);
+  const rich_text = [];
+  for (let i = 0; i < json.length; i += 2000) rich_text.push({ text: { content: json.slice(i, i + 2000) } });
+  return { rich_text };
+}
+
+function readFingerprint(page) {
+  const json = plainText(page?.properties?.[FINGERPRINT_PROP]?.rich_text);
+  if (!json) return null;
+  try {
+    const fp = JSON.parse(json);
+    return fp?.v === FINGERPRINT_VERSION ? fp : null;
+  } catch {
+    return null;
+  }
+}
+
 // ===================== SECTION: Block Helpers =====================
+// Notion limits: 2000 characters per rich_text item, 100 rich_text items per
+// block, 100 children per append request, 1000 blocks per request counting
+// nested children, and two levels of nesting per request.
+const NOTION_TEXT_LIMIT    = 2000;
+const NOTION_ITEM_LIMIT    = 100;
+const NOTION_CHILD_LIMIT   = 100;
+const NOTION_REQUEST_LIMIT = 1000;
+
+// Plain text as rich_text items of at most NOTION_TEXT_LIMIT characters.
+function textItems(content, { link, bold } = {}) {
+  const items = [];
+  for (let i = 0; i < content.length; i += NOTION_TEXT_LIMIT) {
+    items.push({
+      type: "text",
+      text: { content: content.slice(i, i + NOTION_TEXT_LIMIT), ...(link ? { link: { url: link } } : {}) },
+      ...(bold ? { annotations: { bold: true } } : {}),
+    });
+  }
+  return items;
+}
+
+// Rich text with Markdown links ([label](url)), bare http(s)/www URLs and **bold**.
+function richText(text) {
+  const re = /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)|((?:https?:\/\/|www\.)[^\s<>]*[^\s<>.,;:!?'")\]])|\*\*([^*]+)\*\*/g;
+  const items = [];
+  let last = 0;
+  for (const m of text.matchAll(re)) {
+    items.push(...textItems(text.slice(last, m.index)));
+    if (m[1])      items.push(...textItems(m[1], { link: m[2] }));
+    else if (m[3]) items.push(...textItems(m[3], { link: m[3].startsWith("www.") ? `https://${m[3]}` : m[3] }));
+    else           items.push(...textItems(m[4], { bold: true }));
+    last = m.index + m[0].length;
+  }
+  items.push(...textItems(text.slice(last)));
+  return items;
+}
+
+// One block of `type` per NOTION_ITEM_LIMIT rich_text items.
+function textBlocks(type, text) {
+  const items = richText(text);
+  const blocks = [];
+  for (let i = 0; i < items.length; i += NOTION_ITEM_LIMIT) {
+    blocks.push({ object: "block", type, [type]: { rich_text: items.slice(i, i + NOTION_ITEM_LIMIT) } });
+  }
+  return blocks;
+}
+
+// Renders a free-text answer: paragraphs (separated by blank lines) become
+// quotes, "-", "*" or "•" lines bulleted and "1." / "1)" lines numbered list
+// items; a list line indented by two or more spaces nests under the previous item.
+function answerBlocks(text) {
+  const blocks = [];
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length) blocks.push(...textBlocks("quote", paragraph.join("\n")));
+    paragraph = [];
+  };
+
+  for (const line of String(text).replace(/\r\n?/g, "\n").split("\n")) {
+    const item = line.match(/^(\s*)(?:[-*•]|(\d{1,2})[.)])\s+(.*)$/);
+    if (!line.trim()) { flush(); continue; }
+    if (!item) { paragraph.push(line.trim()); continue; }
+    flush();
+    const type = item[2] ? "numbered_list_item" : "bulleted_list_item";
+    const parent = blocks.at(-1);
+    if (item[1].length >= 2 && parent?.type.endsWith("list_item")) {
+      (parent[parent.type].children ||= []).push(...textBlocks(type, item[3]));
+    } else {
+      blocks.push(...textBlocks(type, item[3]));
+    }
+  }
+  flush();
+  return blocks;
+}
+
 function quoteToggle(title, content) {
   return {
     object: "block", type: "toggle",
     toggle: {
       rich_text: [{ type: "text", text: { content: title } }],
-      children: content?.trim()
-        ? [{ object: "block", type: "quote",
-             quote: { rich_text: [{ type: "text", text: { content: content.trim() } }] } }]
-        : [],
+      children: content?.trim() ? answerBlocks(content.trim()) : [],
     },
   };
 }
@@ -212,18 +981,43 @@ function tableBlock(pairs) {
       children: pairs.map(([k, v]) => ({
         object: "block", type: "table_row",
         table_row: { cells: [
-          [{ type: "text", text: { content: String(k ?? "") } }],
-          [{ type: "text", text: { content: String(v ?? "") } }],
+          textItems(String(k ?? "")),
+          richText(String(v ?? "")).slice(0, NOTION_ITEM_LIMIT),
         ]},
       })),
     },
   };
 }
 
+// Appends children in requests of at most NOTION_CHILD_LIMIT top-level blocks and
+// NOTION_REQUEST_LIMIT blocks in all. A block whose children have children of
+// their own would exceed the nesting limit, so it is sent bare and its children
+// follow in separate appends. Returns the last response.
 async function appendSafe(block_id, children) {
   const clean = (children || []).filter(Boolean);
   if (!clean.length) return;
-  return await n.blocks.children.append({ block_id, children: clean });
+
+  const batches = [];
+  let batch = null;
+  for (const block of clean) {
+    const { children: kids, ...body } = block[block.type] || {};
+    const tooDeep = kids?.length > NOTION_CHILD_LIMIT || kids?.some(k => k[k.type]?.children?.length);
+    const deferred = tooDeep && block.type !== "table";
+    const size = 1 + (deferred ? 0 : kids?.length || 0);
+    if (!batch || batch.children.length === NOTION_CHILD_LIMIT || batch.size + size > NOTION_REQUEST_LIMIT) {
+      batches.push(batch = { children: [], size: 0, deferred: new Map() });
+    }
+    if (deferred) batch.deferred.set(batch.children.length, kids);
+    batch.children.push(deferred ? { ...block, [block.type]: body } : block);
+    batch.size += size;
+  }
+
+  let res;
+  for (const { children: batchChildren, deferred } of batches) {
+    res = await n.blocks.children.append({ block_id, children: batchChildren });
+    for (const [j, kids] of deferred) await appendSafe(res.results[j].id, kids);
+  }
+  return res;
 }
 
 async function dedupeToggles(parentId, titles) {
@@ -235,7 +1029,6 @@ async function dedupeToggles(parentId, titles) {
     );
     for (let i = 1; i < matches.length; i++) {
       await n.blocks.update({ block_id: matches[i].id, archived: true });
-      await sleep(60);
     }
   }
 }
@@ -251,104 +1044,214 @@ async function ensureToggle(parentId, title) {
     children: [{ object: "block", type: "toggle",
       toggle: { rich_text: [{ type: "text", text: { content: title } }] } }],
   });
-  await sleep(80);
   return res.results[0].id;
 }
 
-// ===================== SECTION: Fetch All Existing Notion Pages =====================
+// ===================== SECTION: Existing Page Lookup =====================
 async function fetchAllPages() {
   const pages = [];
-  let cursor;
-  do {
-    const resp = await n.databases.query({
-      database_id: process.env.NOTION_DATABASE_ID,
-      start_cursor: cursor,
-    });
-    pages.push(...resp.results);
-    cursor = resp.has_more ? resp.next_cursor : undefined;
-  } while (cursor);
+  for (const database_id of DATABASE_IDS) {
+    let cursor;
+    do {
+      const resp = await n.databases.query({
+        database_id,
+        start_cursor: cursor,
+      });
+      pages.push(...resp.results);
+      cursor = resp.has_more ? resp.next_cursor : undefined;
+    } while (cursor);
+  }
   return pages;
 }
 
-function buildSubmissionIdSet(existingPages) {
-  const ids = new Set();
-  for (const page of existingPages) {
-    const sid = page?.properties?.["Submission ID"]?.rich_text?.[0]?.text?.content;
-    if (sid) ids.add(sid);
+async function queryPages(filter, page_size = 100) {
+  const results = await Promise.all(DATABASE_IDS.map(database_id => n.databases.query({ database_id, filter, page_size })));
+  return results.flatMap(resp => resp.results);
+}
+
+const pageTitleOf   = (page) => plainText(page?.properties?.Name?.title);
+const submissionIdOf = (page) => plainText(page?.properties?.["Submission ID"]?.rich_text);
+
+// Resolves existing pages for the processing functions. Given the full page list
+// (full sync) it answers from memory; without one (incremental sync, webhook) it
+// runs filtered databases.query calls on Submission ID, Founder Email, Company
+// Website and title, caching what it has seen. Pages created during the run are
+// registered with add() either way. A Submission ID missing from memory is always
+// confirmed with a query, even on a full sync: the webhook server may have created
+// its page after the snapshot, and Submission ID is what keeps imports idempotent.
+function createPageIndex(allPages = null) {
+  const known = new Map();           // page id → page
+  const bySid = new Map();           // Submission ID → page
+  const processed = new Set();       // Submission IDs handled during this run
+
+  const add = (page) => {
+    known.set(page.id, page);
+    const sid = submissionIdOf(page);
+    if (sid) bySid.set(sid, page);
+    return page;
+  };
+  (allPages || []).forEach(add);
+
+  async function findBySubmissionId(submissionId) {
+    if (!submissionId) return null;
+    if (bySid.has(submissionId)) return bySid.get(submissionId);
+    const [page] = await queryPages({ property: "Submission ID", rich_text: { equals: submissionId } }, 1);
+    return page ? add(page) : null;
+  }
+
+  async function findByTitle(title) {
+    const local = [...known.values()].find(p => pageTitleOf(p) === title);
+    if (local || allPages) return local || null;
+    const [page] = await queryPages({ property: "Name", title: { equals: title } }, 1);
+    return page ? add(page) : null;
+  }
+
+  // Pages that could score for scoreReference: same founder email or email domain,
+  // same website, or a title sharing the name's longest significant token.
+  // Name-only similarity without a shared token stays below the review threshold.
+  // `referencePages` true returns only standalone [REFERENCE] pages, false none of them.
+  async function referenceCandidates(ref, { referencePages } = {}) {
+    const pick = () => [...known.values()].filter(p => referencePages === undefined || isReferencePage(p) === referencePages);
+    if (allPages) return pick();
+    const domains = [domainOf(ref.email), domainOf(ref.website)].filter(d => d && !FREE_MAIL_DOMAINS.has(d));
+    const [token] = [...nameTokens(ref.name)].sort((a, b) => b.length - a.length);
+
+    const filters = [];
+    if (ref.email)   filters.push({ property: "Founder Email",   email: { equals: ref.email } });
+    if (ref.website) filters.push({ property: "Company Website", url:   { contains: ref.website } });
+    for (const domain of new Set(domains)) {
+      filters.push({ property: "Company Website", url:   { contains: domain } });
+      filters.push({ property: "Founder Email",   email: { contains: `@${domain}` } });
+    }
+    if (token?.length >= 3) filters.push({ property: "Name", title: { contains: token } });
+    if (filters.length) {
+      const kind = referencePages === undefined ? null
+        : { property: "Name", title: referencePages ? { starts_with: REFERENCE_PREFIX } : { does_not_contain: REFERENCE_PREFIX.trim() } };
+      const filter = kind ? { and: [kind, { or: filters }] } : { or: filters };
+      (await queryPages(filter)).forEach(add);
+    }
+    return pick();
+  }
+
+  // Forgets a page, e.g. after it was archived by a merge.
+  function remove(page) {
+    known.delete(page.id);
+    const sid = submissionIdOf(page);
+    if (bySid.get(sid)?.id === page.id) bySid.delete(sid);
   }
-  return ids;
+
+  return {
+    add, remove, findBySubmissionId, findByTitle, referenceCandidates,
+    referrers: new Map(),            // referrer email → page (see upsertReferrer)
+    has: (id) => known.has(id),
+    markProcessed: (sid) => sid && processed.add(sid),
+    wasProcessed:  (sid) => processed.has(sid),
+  };
 }
 
 // ===================== SECTION: Process Incoming Form Row =====================
 // For incoming founder submissions we NEVER fuzzy-match against existing pages.
-// Logic: if Submission ID already exists → skip. Otherwise always create a new page.
-// This prevents false matches like Chiara→Chirp or Movix→Monia.
-async function processIncomingRow(row, existingPages, processedIds) {
-  const submissionId = (row[0] || "").trim();
+// Logic: if Submission ID already exists → sync edits into that page (see
+// syncExistingSubmission). Otherwise always create a new page.
+// This prevents false matches like Chiara→Chirp or Movix→Monia. The only pages a
+// new submission absorbs are standalone [REFERENCE] pages (absorbReferencePages).
+
+// Importer-owned content of an incoming row: the mapped properties (incl. the title)
+// and the non-empty Form answers of its entity.
+function incomingContent(row, entity) {
+  const pageTitle = cell(row, MAPPING.incoming.title);
+  const mappedProps = buildProperties(row, entity.properties);
+  if (pageTitle) mappedProps.Name = PROPERTY_BUILDERS.title(pageTitle);
+  const answers = entity.formToggles.map(toggleSpec)
+    .map(({ header, label }) => ({ label, answer: cell(row, header) }))
+    .filter(a => a.answer);
+  return { pageTitle, mappedProps, answers };
+}
+
+async function processIncomingRow(row, pages) {
+  const submissionId = cell(row, MAPPING.incoming.submissionId);
+  // Rows without a Submission ID cannot collide with each other, so they get no lock.
+  return submissionId
+    ? withKeyLock(`submission:${submissionId}`, () => importIncomingRow(row, pages))
+    : importIncomingRow(row, pages);
+}
+
+async function importIncomingRow(row, pages) {
+  const cols = MAPPING.incoming;
+  const submissionId = cell(row, cols.submissionId);
 
-  if (submissionId && processedIds.has(submissionId)) {
+  if (pages.wasProcessed(submissionId)) {
     console.log(`⏭️  Skipping already-imported submission: ${submissionId}`);
-    return;
+    return { outcome: "skipped-duplicate", submissionId };
+  }
+  if (rowEmails(row, (entityFor(cell(row, cols.entity)) || SHARED_ENTITY).properties).some(isSuppressed)) {
+    console.log(`🔒 Skipping submission ${submissionId || "without Submission ID"} — email is on the suppression list`);
+    return { outcome: "skipped-suppressed", submissionId };
+  }
+  const existing = await pages.findBySubmissionId(submissionId);
+  if (existing) {
+    pages.markProcessed(submissionId);
+    return await withKeyLock(existing.id, () => syncExistingSubmission(row, existing));
   }
 
-  const entity = (row[3] || "").trim().toLowerCase();
-  const statusProp = ENTITY_PROP_MAP[entity];
-  if (!statusProp) {
-    console.warn(`⚠️  Unknown entity value: "${row[3]}" — skipping row`);
-    return;
+  const entityValue = cell(row, cols.entity);
+  const entity      = entityFor(entityValue);
+  if (!entity) {
+    console.warn(`⚠️  Unknown entity value: "${entityValue}" — skipping row`);
+    return { outcome: "skipped-unknown-entity", submissionId, entity: entityValue };
   }
+  const { statusProperty: statusProp, initialStatus, databaseId } = entity;
 
-  const pageTitle = (row[7] || "").trim();
+  const { pageTitle, mappedProps, answers } = incomingContent(row, entity);
   if (!pageTitle) {
-    console.warn("⚠️  Empty org name (col 7) — skipping row");
-    return;
+    console.warn(`⚠️  Empty org name ("${cols.title}") — skipping row`);
+    return { outcome: "skipped-empty-name", submissionId };
   }
 
+  const fingerprint = fingerprintProperty(buildFingerprint(mappedProps, answers));
   const props = {
-    [statusProp]:   { select: { name: "Form Inbound" } },
-    "Last Updated": { date: { start: new Date().toISOString() } },
-  };
-
-  if (submissionId) props["Submission ID"]    = { rich_text: [{ text: { content: submissionId } }] };
-  if (row[2])  props["Form filled out:"]      = { date: { start: new Date(row[2]).toISOString() } };
-  if (row[4])  props["Founder Name"]          = { rich_text: [{ text: { content: row[4] } }] };
-  if (row[5])  props["Founder Email"]         = { email: row[5] };
-  if (row[6])  props["Founder LinkedIn"]      = { url: row[6] };
-  if (row[8])  props["Company Website"]       = { url: row[8] };
-  // col 9: Country, City — stored as rich_text to avoid Notion's no-comma select restriction
-  if (row[9])  props["Country, City"]         = { select: { name: row[9].trim().replace(/,/g, " —") } };
-  if (row[10]) props["Current raise in kEUR"] = { number: parseFloat(row[10]) || null };
-  // col 11: deck/ppt URL
-  if (row[11]) props["Deck"] = { files: [{ name: "Deck", type: "external", external: { url: row[11] } }] };
-  // col 12: one-sentence value proposition
-  if (row[12]) props["Value Proposition"]     = { rich_text: [{ text: { content: row[12] } }] };
-  // col 13: market/sector (comma-separated)
-  if (row[13]) props["Sector"] = {
-    multi_select: row[13].split(",").map(s => ({ name: s.trim() })).filter(s => s.name),
+    [statusProp]:       { select: { name: initialStatus } },
+    "Last Updated":     { date: { start: new Date().toISOString() } },
+    ...mappedProps,
+    [FINGERPRINT_PROP]: fingerprint,
   };
-  // col 20: search fund status
-  if (row[20]) props["SF Status"]             = { select: { name: row[20].trim() } };
+  if (submissionId) props["Submission ID"] = { rich_text: [{ text: { content: submissionId } }] };
+
+  const triage = evaluateRules(row, entity);
+  if (triage.fired.length) console.log(`🧮 Rules fired for "${pageTitle}": ${triage.fired.join(", ")}`);
+  Object.assign(props, triage.properties);
+
+  const fields = pageMatchFields({ properties: props });
+  const possibleDuplicates = findPossibleDuplicates(fields, await pages.referenceCandidates(fields, { referencePages: false }));
+  if (possibleDuplicates.length) {
+    console.log(`👯 Possible duplicate: "${pageTitle}" ~ ` +
+      possibleDuplicates.map(c => `"${pageTitleOf(c.page)}" (score ${c.score}: ${describeSignals(c.signals)})`).join(", "));
+    props["Duplicate Check"] = { select: { name: "Possible duplicate" } };
+    // A relation only reaches pages of its own database.
+    const related = possibleDuplicates.filter(c => sameDatabase(c.page, databaseId));
+    if (related.length) props["Possible Duplicate Of"] = { relation: related.map(c => ({ id: c.page.id })) };
+  }
 
   console.log(`🛠  Creating new page: ${pageTitle}`);
   const parentPage = await n.pages.create({
-    parent: { type: "database_id", database_id: process.env.NOTION_DATABASE_ID },
-    properties: {
-      Name: { title: [{ text: { content: pageTitle } }] },
-      ...props,
-    },
+    parent: { type: "database_id", database_id: databaseId },
+    properties: props,
   });
 
-  existingPages.push({
+  const indexed = pages.add({
     id: parentPage.id,
+    parent: { type: "database_id", database_id: databaseId },
     properties: {
-      Name:              { title: [{ text: { content: pageTitle } }] },
-      "Submission ID":   { rich_text: [{ text: { content: submissionId } }] },
-      "Founder Email":   { email: row[5] || null },
-      "Company Website": { url: row[8] || null },
+      Name:               mappedProps.Name,
+      "Submission ID":    { rich_text: [{ text: { content: submissionId } }] },
+      "Founder Name":     props["Founder Name"]    || { rich_text: [] },
+      "Founder Email":    props["Founder Email"]   || { email: null },
+      "Company Website":  props["Company Website"] || { url: null },
+      [FINGERPRINT_PROP]: fingerprint,
     },
   });
 
-  if (submissionId) processedIds.add(submissionId);
+  pages.markProcessed(submissionId);
 
   await dedupeToggles(parentPage.id, ["Form"]);
   const formId = await ensureToggle(parentPage.id, "Form");
@@ -360,185 +1263,1752 @@ async function processIncomingRow(row, existingPages, processedIds) {
       .map(b => b.toggle?.rich_text?.[0]?.text?.content || "")
   );
 
-  const toAppend = [];
-  for (const idx of FORM_TOGGLE_INDICES) {
-    const answer = row[idx]?.trim?.();
-    if (!answer) continue;
-    const label = QUESTION_LABELS[idx] || `Question ${idx}`;
-    if (existingTitles.has(label)) continue;
-    toAppend.push(quoteToggle(label, answer));
-  }
+  const toAppend = answers
+    .filter(({ label }) => !existingTitles.has(label))
+    .map(({ label, answer }) => quoteToggle(label, answer));
 
-  if (toAppend.length) {
-    for (let i = 0; i < toAppend.length; i += 50) {
-      await appendSafe(formId, toAppend.slice(i, i + 50));
-      await sleep(100);
-    }
-  }
+  await appendSafe(formId, toAppend);
+
+  const mergedReferences = await absorbReferencePages(indexed, pages);
 
   console.log(`✅ Done: ${pageTitle}`);
-  return parentPage;
+  return {
+    outcome: "created", submissionId, title: pageTitle, entity: entity.name, statusProp,
+    status: props[statusProp].select.name, rules: triage.fired, mergedReferences,
+    possibleDuplicates: possibleDuplicates.map(candidateSummary), page: parentPage,
+  };
 }
 
-// ===================== SECTION: Process Reference Row =====================
-async function processReferenceRow(refRow, existingPages, processedRefIds) {
-  const submissionId = (refRow[0] || "").trim();
+// Propagates an edited form response into its existing page. Pages imported before
+// fingerprints existed are adopted: their fingerprint is written, nothing else.
+async function syncExistingSubmission(row, cachedPage) {
+  const submissionId = cell(row, MAPPING.incoming.submissionId);
+  const entity = entityFor(cell(row, MAPPING.incoming.entity)) || SHARED_ENTITY;
+  const { pageTitle, mappedProps, answers } = incomingContent(row, entity);
+  const next   = buildFingerprint(mappedProps, answers);
+  const stored = readFingerprint(cachedPage);
 
-  if (submissionId && processedRefIds.has(submissionId)) {
-    console.log(`⏭️  Skipping already-imported reference: ${submissionId}`);
-    return;
+  if (stored && JSON.stringify(stored) === JSON.stringify(next)) {
+    console.log(`⏭️  Skipping already-imported submission: ${submissionId}`);
+    return { outcome: "skipped-duplicate", submissionId, page: cachedPage };
+  }
+  if (!stored) {
+    console.log(`🧷 Adopting already-imported submission: ${submissionId}`);
+    await n.pages.update({ page_id: cachedPage.id, properties: { [FINGERPRINT_PROP]: fingerprintProperty(next) } });
+    cachedPage.properties[FINGERPRINT_PROP] = fingerprintProperty(next);
+    return { outcome: "skipped-duplicate", submissionId, adopted: true, page: cachedPage };
   }
 
-  const startupName    = (refRow[7] || "").trim();
-  const refToggleTitle = submissionId ? `Referral · ${submissionId}` : `Referral · ${Date.now()}`;
-  const matchedPage    = findReferenceMatch(refRow, existingPages);
-
-  if (matchedPage) {
-    const matchedTitle = matchedPage?.properties?.Name?.title?.[0]?.text?.content || "";
-    console.log(`🔗 Matched reference "${startupName}" → "${matchedTitle}"`);
-
-    await dedupeToggles(matchedPage.id, ["Referral Insight"]);
-    const riId = await ensureToggle(matchedPage.id, "Referral Insight");
-
-    const riKids = await n.blocks.children.list({ block_id: riId });
-    const alreadyExists = riKids.results.some(
-      b => b.type === "toggle" && b.toggle?.rich_text?.[0]?.text?.content === refToggleTitle
-    );
-    if (alreadyExists) {
-      console.log(`⏭️  Reference toggle already exists for ${submissionId} — skipping`);
-      if (submissionId) processedRefIds.add(submissionId);
-      return;
+  // The cached copy may be stale; hand edits are judged against the live page.
+  const page = await n.pages.retrieve({ page_id: cachedPage.id });
+  const types = { ...specPropertyTypes(entity.properties), Name: "title" };
+
+  const updates = {}, changed = [], handEdited = [];
+  for (const name of new Set([...Object.keys(stored.p), ...Object.keys(next.p)])) {
+    if (stored.p[name] === next.p[name]) continue;
+    const current = propertyText(page.properties?.[name]);
+    if ((current ? shortHash(current) : undefined) !== stored.p[name]) {
+      handEdited.push(name);
+      continue;
     }
+    if (name === "Name" && !next.p.Name) continue;  // never blank the page title
+    updates[name] = mappedProps[name] || EMPTY_PROPERTY[types[name]];
+    changed.push(name);
+  }
 
-    const refRes = await n.blocks.children.append({
-      block_id: riId,
-      children: [{ object: "block", type: "toggle",
-        toggle: { rich_text: [{ type: "text", text: { content: refToggleTitle } }] } }],
-    });
-    await sleep(120);
-    const refId = refRes.results[0].id;
-
-    const pairs = Object.entries(REF_LABELS).map(([idx, label]) => [label, refRow[idx] || ""]);
-    await appendSafe(refId, [tableBlock(pairs)]);
-    await sleep(100);
+  const changedAnswers = new Map();
+  const labels = entity.formToggles.map(t => toggleSpec(t).label);
+  for (const label of labels) {
+    const key = shortHash(label);
+    if (stored.q[key] === next.q[key]) continue;
+    changedAnswers.set(label, answers.find(a => a.label === label)?.answer || "");
+  }
 
-  } else {
-    console.log(`⚠️  Unmatched reference: "${startupName}" — creating standalone page`);
+  const title = pageTitle || plainText(page.properties?.Name?.title);
+  console.log(
+    `✏️  Updating edited submission ${submissionId} (${title}): ` +
+    `${[...changed, ...changedAnswers.keys()].join(", ") || "no importer-owned changes"}`
+  );
+  if (handEdited.length) console.log(`   ✋ Kept hand-edited: ${handEdited.join(", ")}`);
 
-    const pageTitle = `[REFERENCE] ${startupName || "Unknown Startup"}`;
-    const existingUnmatched = existingPages.find(
-      p => p?.properties?.Name?.title?.[0]?.text?.content === pageTitle
-    );
+  await n.pages.update({
+    page_id: page.id,
+    properties: {
+      ...updates,
+      ...(changed.length || changedAnswers.size ? { "Last Updated": { date: { start: new Date().toISOString() } } } : {}),
+      [FINGERPRINT_PROP]: fingerprintProperty(next),
+    },
+  });
+  Object.assign(cachedPage.properties, updates, { [FINGERPRINT_PROP]: fingerprintProperty(next) });
 
-    const refProps = {
-      "Moonstone Status": { select: { name: "Form Referral" } },
-      "Last Updated":     { date: { start: new Date().toISOString() } },
-    };
-    if (submissionId) refProps["Submission ID"]  = { rich_text: [{ text: { content: submissionId } }] };
-    if (refRow[6])  refProps["Founder Name"]     = { rich_text: [{ text: { content: refRow[6] } }] };
-    if (refRow[8])  refProps["Founder Email"]    = { email: refRow[8] };
-    if (refRow[9])  refProps["Company Website"]  = { url: refRow[9] };
-    if (refRow[10]) refProps["Sector"] = {
-      multi_select: refRow[10].split(",").map(s => ({ name: s.trim() })).filter(s => s.name),
-    };
+  if (changedAnswers.size) await rewriteFormAnswers(page.id, changedAnswers);
 
-    let page;
-    if (existingUnmatched) {
-      page = existingUnmatched;
-      await n.pages.update({ page_id: page.id, properties: refProps });
-    } else {
-      page = await n.pages.create({
-        parent: { type: "database_id", database_id: process.env.NOTION_DATABASE_ID },
-        properties: {
-          Name: { title: [{ text: { content: pageTitle } }] },
-          ...refProps,
-        },
-      });
-      existingPages.push({
-        id: page.id,
-        properties: {
-          Name:              { title: [{ text: { content: pageTitle } }] },
-          "Submission ID":   { rich_text: [{ text: { content: submissionId } }] },
-          "Founder Email":   { email: refRow[8] || null },
-          "Company Website": { url: refRow[9] || null },
-        },
-      });
-    }
+  return {
+    outcome: "updated", submissionId, title,
+    changed: [...changed, ...changedAnswers.keys()], handEdited, page,
+  };
+}
 
-    await dedupeToggles(page.id, ["Referral Insight"]);
-    const riId = await ensureToggle(page.id, "Referral Insight");
+// Rewrites only the given question toggles inside the Form toggle, in place: the
+// blocks the importer wrote under an existing toggle are replaced, a new answer
+// gets a new toggle and a cleared answer has its toggle archived. Blocks the team
+// added under a toggle are kept, and keep a cleared answer's toggle too.
+async function rewriteFormAnswers(pageId, changedAnswers) {
+  const formId = await ensureToggle(pageId, "Form");
+  const formKids = await n.blocks.children.list({ block_id: formId });
+  const toAppend = [];
 
-    const riKids = await n.blocks.children.list({ block_id: riId });
-    const alreadyExists = riKids.results.some(
-      b => b.type === "toggle" && b.toggle?.rich_text?.[0]?.text?.content === refToggleTitle
+  for (const [label, answer] of changedAnswers) {
+    const toggle = formKids.results.find(
+      b => b.type === "toggle" && b.toggle?.rich_text?.[0]?.text?.content === label
     );
-
-    if (!alreadyExists) {
-      const refRes = await n.blocks.children.append({
-        block_id: riId,
-        children: [{ object: "block", type: "toggle",
-          toggle: { rich_text: [{ type: "text", text: { content: refToggleTitle } }] } }],
-      });
-      await sleep(120);
-      const refId = refRes.results[0].id;
-
-      const pairs = Object.entries(REF_LABELS).map(([idx, label]) => [label, refRow[idx] || ""]);
-      await appendSafe(refId, [tableBlock(pairs)]);
-      await sleep(100);
+    if (!toggle) {
+      if (answer) toAppend.push(quoteToggle(label, answer));
+      continue;
     }
-
-    console.log(`✅ Unmatched reference page ready: ${pageTitle}`);
+    const kids = await listAllChildren(toggle.id);
+    const importerId = await importerUserId();
+    const written = kids.filter(kid => kid.created_by?.id === importerId);
+    if (!answer && written.length === kids.length) {
+      await n.blocks.update({ block_id: toggle.id, archived: true });
+      continue;
+    }
+    for (const kid of written) {
+      await n.blocks.update({ block_id: kid.id, archived: true });
+    }
+    if (answer) await appendSafe(toggle.id, quoteToggle(label, answer).toggle.children);
   }
 
-  if (submissionId) processedRefIds.add(submissionId);
+  await appendSafe(formId, toAppend);
 }
 
-// ===================== SECTION: Fetch Sheet =====================
-async function fetchSheet(spreadsheetId, range = "A2:AZ") {
-  const resp = await withRetry(
-    () => sheets.spreadsheets.values.get({ spreadsheetId, range }),
-    { tries: 5, baseDelay: 500 }
+// ===================== SECTION: Process Reference Row =====================
+// Appends a `Referral · <id>` toggle holding the reference table (and any extra
+// blocks, e.g. the match breakdown) under the page's Referral Insight toggle.
+// Returns false when that toggle already exists.
+async function appendReferralToggle(pageId, refToggleTitle, refRow, extraBlocks = []) {
+  await dedupeToggles(pageId, ["Referral Insight"]);
+  const riId = await ensureToggle(pageId, "Referral Insight");
+
+  const riKids = await n.blocks.children.list({ block_id: riId });
+  const alreadyExists = riKids.results.some(
+    b => b.type === "toggle" && b.toggle?.rich_text?.[0]?.text?.content === refToggleTitle
   );
-  return resp.data.values || [];
-}
+  if (alreadyExists) return false;
 
-// ===================== SECTION: Main =====================
-async function main() {
-  console.log("🚀 Moonstone Importer started");
-
-  const [incomingRows, refRows] = await Promise.all([
-    fetchSheet(process.env.GOOGLE_SHEET_ID_INCOMING),
-    fetchSheet(process.env.GOOGLE_SHEET_ID_REFS),
-  ]);
-  console.log(`📄 Incoming rows: ${incomingRows.length} | Reference rows: ${refRows.length}`);
+  const refRes = await n.blocks.children.append({
+    block_id: riId,
+    children: [{ object: "block", type: "toggle",
+      toggle: { rich_text: [{ type: "text", text: { content: refToggleTitle } }] } }],
+  });
+  const refId = refRes.results[0].id;
 
-  const existingPages = await fetchAllPages();
-  console.log(`📚 Existing Notion pages loaded: ${existingPages.length}`);
+  await appendSafe(refId, [tableBlock(referenceTablePairs(refRow)), ...extraBlocks]);
+  return true;
+}
 
-  const processedIds    = buildSubmissionIdSet(existingPages);
-  const processedRefIds = new Set(processedIds);
-  console.log(`🔑 Known submission IDs: ${processedIds.size}`);
+// Adds the referral to a page under its lock and, when it is new, records it in
+// the referrer network (see Referrer Network).
+async function addReferral(pageId, refToggleTitle, refRow, extraBlocks, pages) {
+  return withKeyLock(pageId, async () => {
+    const added = await appendReferralToggle(pageId, refToggleTitle, refRow, extraBlocks);
+    return { added, referrer: added ? await recordReferral(pageId, refRow, pages) : null };
+  });
+}
 
-  for (const row of incomingRows) {
-    try {
-      await processIncomingRow(row, existingPages, processedIds);
-    } catch (err) {
-      console.error(`⚠️  Error processing incoming row (org: "${row[7]}"): `, err?.message || err);
-    }
+// Blocks explaining a match decision, appended under the reference table.
+function matchBreakdownBlocks(match) {
+  const paragraph = (rich_text) => ({ object: "block", type: "paragraph", paragraph: { rich_text } });
+  const text = (content) => ({ type: "text", text: { content } });
+
+  if (match.decision === "attach") {
+    const { score, signals } = match.best;
+    return [
+      paragraph([text(`Matched automatically — score ${score}`)]),
+      tableBlock(signals.map(sig => [sig.name, `${sig.value} × ${sig.weight} = ${sig.score}`])),
+    ];
+  }
+  if (match.decision === "review") {
+    return [
+      paragraph([text("Needs review — possible matches:")]),
+      ...match.candidates.slice(0, 5).map(c => ({
+        object: "block", type: "bulleted_list_item",
+        bulleted_list_item: { rich_text: [
+          { type: "mention", mention: { type: "page", page: { id: c.page.id } } },
+          text(` — score ${c.score} (${describeSignals(c.signals)})`),
+        ] },
+      })),
+    ];
   }
+  return [paragraph([text("No existing page scored above the review threshold.")])];
+}
 
-  for (const row of refRows) {
+const candidateSummary = (c) => ({ pageId: c.page.id, title: pageTitleOf(c.page), score: c.score, signals: c.signals });
+
+async function processReferenceRow(refRow, pages) {
+  const cols = MAPPING.references;
+  const submissionId = cell(refRow, cols.submissionId);
+
+  if (pages.wasProcessed(submissionId) || await pages.findBySubmissionId(submissionId)) {
+    console.log(`⏭️  Skipping already-imported reference: ${submissionId}`);
+    return { outcome: "skipped-duplicate", submissionId };
+  }
+  if (isSuppressed(cell(refRow, cols.founderEmail))) {
+    console.log(`🔒 Skipping reference ${submissionId || "without Submission ID"} — founder email is on the suppression list`);
+    return { outcome: "skipped-suppressed", submissionId };
+  }
+
+  const startupName    = cell(refRow, cols.startupName);
+  const refToggleTitle = submissionId ? `Referral · ${submissionId}` : `Referral · ${Date.now()}`;
+  const match          = findReferenceMatch(refRow, await pages.referenceCandidates(referenceFields(refRow)));
+  const breakdown      = matchBreakdownBlocks(match);
+  let result;
+
+  if (match.decision === "attach") {
+    const { page: matchedPage, score, signals } = match.best;
+    const matchedTitle = pageTitleOf(matchedPage);
+    console.log(`🔗 Matched reference "${startupName}" → "${matchedTitle}" (score ${score}: ${describeSignals(signals)})`);
+
+    const { added, referrer } = await addReferral(matchedPage.id, refToggleTitle, refRow, breakdown, pages);
+    if (!added) {
+      console.log(`⏭️  Reference toggle already exists for ${submissionId} — skipping`);
+      pages.markProcessed(submissionId);
+      return { outcome: "skipped-duplicate", submissionId };
+    }
+
+    result = {
+      outcome: "reference-matched", submissionId, startupName,
+      matchedTitle, score, signals, referrer, page: matchedPage,
+    };
+  } else {
+    const needsReview = match.decision === "review";
+    console.log(needsReview
+      ? `🔍 Borderline reference: "${startupName}" — ${match.candidates.length} candidate(s), best score ${match.best.score} — queued for review`
+      : `⚠️  Unmatched reference: "${startupName}" — creating standalone page`);
+
+    const pageTitle = `${REFERENCE_PREFIX}${startupName || "Unknown Startup"}`;
+
+    const refProps = {
+      "Moonstone Status": { select: { name: needsReview ? "Needs review" : "Form Referral" } },
+      "Last Updated":     { date: { start: new Date().toISOString() } },
+    };
+    if (submissionId) refProps["Submission ID"] = { rich_text: [{ text: { content: submissionId } }] };
+    Object.assign(refProps, referenceProperties(refRow));
+
+    // Locked by title so two references to the same unknown startup share one page.
+    result = await withKeyLock(`reference:${pageTitle}`, async () => {
+      const existingUnmatched = await pages.findByTitle(pageTitle);
+      let page;
+      if (existingUnmatched) {
+        page = existingUnmatched;
+        await n.pages.update({ page_id: page.id, properties: refProps });
+      } else {
+        page = await n.pages.create({
+          parent: { type: "database_id", database_id: REFERENCE_DATABASE_ID },
+          properties: {
+            Name: PROPERTY_BUILDERS.title(pageTitle),
+            ...refProps,
+          },
+        });
+        pages.add({
+          id: page.id,
+          parent: { type: "database_id", database_id: REFERENCE_DATABASE_ID },
+          properties: {
+            Name:              PROPERTY_BUILDERS.title(pageTitle),
+            "Submission ID":   { rich_text: [{ text: { content: submissionId } }] },
+            "Founder Name":    refProps["Founder Name"]    || { rich_text: [] },
+            "Founder Email":   refProps["Founder Email"]   || { email: null },
+            "Company Website": refProps["Company Website"] || { url: null },
+          },
+        });
+      }
+
+      const { referrer } = await addReferral(page.id, refToggleTitle, refRow, breakdown, pages);
+
+      console.log(`✅ Unmatched reference page ready: ${pageTitle}`);
+      return {
+        outcome: needsReview ? "reference-review" : "reference-standalone", submissionId, startupName,
+        title: pageTitle, existing: !!existingUnmatched, candidates: match.candidates.map(candidateSummary), referrer, page,
+      };
+    });
+  }
+
+  pages.markProcessed(submissionId);
+  return result;
+}
+
+// ===================== SECTION: Referrer Network =====================
+// With a Referrers database configured ("referrers" in mapping.json; its id from
+// NOTION_REFERRERS_DATABASE_ID unless set there), every new referral upserts its
+// referrer — keyed by normalised email — and keeps Referral Count / Latest Referral
+// up to date on the referrer and on the startup page. The startup page also relates
+// to its referrers ("Referrers") and collects each reference's "Relevant sectors"
+// in "Referral Sectors". Anonymous (and erased) referrers are counted on the
+// startup page but get no Referrers entry and no relation.
+const REFERRERS_DATABASE_ID = MAPPING.referrers
+  ? databaseIdOf({ databaseEnv: "NOTION_REFERRERS_DATABASE_ID", ...MAPPING.referrers })
+  : null;
+const REFERRAL_COUNT_PROP   = "Referral Count";
+const LATEST_REFERRAL_PROP  = "Latest Referral";
+const REFERRAL_SECTORS_PROP = "Referral Sectors";
+const REFERRERS_PROP        = "Referrers";
+
+const laterDate = (a, b) => (!a || (b && new Date(b) > new Date(a)) ? b : a);
+
+// Falls back to the import time when "Submitted at" is missing or not a date.
+function referralDate(refRow) {
+  const date = new Date(cell(refRow, MAPPING.references.submittedAt) || Date.now());
+  return (isNaN(date) ? new Date() : date).toISOString();
+}
+
+// Creates or updates the referrer's page. `known` is the page index's cache of
+// referrer pages by email (see createPageIndex): it only lives for one run or one
+// webhook submission, so counts written by another process are re-read and erased
+// (archived) referrers are not updated. Returns { page, status } with status
+// "new", "existing" or "anonymous", or null when the row has no referrer email.
+async function upsertReferrer(refRow, date, known) {
+  const cols = MAPPING.references;
+  if (referrerHidden(refRow)) return { page: null, status: "anonymous" };
+  const email = normEmail(cell(refRow, cols.referrerEmail));
+  if (!email) return null;
+
+  return withKeyLock(`referrer:${email}`, async () => {
+    let referrer = known.get(email);
+    if (!referrer) {
+      const { results } = await n.databases.query({
+        database_id: REFERRERS_DATABASE_ID,
+        filter: { property: "Email", email: { equals: email } },
+        page_size: 1,
+      });
+      referrer = results[0];
+    }
+
+    if (!referrer) {
+      const name = cell(refRow, cols.referrerName) || email;
+      const properties = {
+        Name:                   { title: [{ text: { content: name } }] },
+        Email:                  { email },
+        [REFERRAL_COUNT_PROP]:  { number: 1 },
+        [LATEST_REFERRAL_PROP]: { date: { start: date } },
+      };
+      const page = await n.pages.create({ parent: { type: "database_id", database_id: REFERRERS_DATABASE_ID }, properties });
+      known.set(email, { id: page.id, properties });
+      console.log(`🤝 New referrer: ${name}`);
+      return { page, status: "new" };
+    }
+
+    const properties = {
+      [REFERRAL_COUNT_PROP]:  { number: (referrer.properties?.[REFERRAL_COUNT_PROP]?.number || 0) + 1 },
+      [LATEST_REFERRAL_PROP]: { date: { start: laterDate(referrer.properties?.[LATEST_REFERRAL_PROP]?.date?.start, date) } },
+    };
+    await n.pages.update({ page_id: referrer.id, properties });
+    known.set(email, { ...referrer, properties: { ...referrer.properties, ...properties } });
+    return { page: referrer, status: "existing" };
+  });
+}
+
+const selectNames  = (prop) => (prop?.multi_select || []).map(o => o.name);
+const relationIds  = (prop) => (prop?.relation || []).map(r => r.id);
+const unionOptions = (...lists) => [...new Set(lists.flat())].map(name => ({ name }));
+const unionIds     = (...lists) => [...new Set(lists.flat())].map(id => ({ id }));
+
+// Counts a new referral on its startup page and upserts the referrer. Called
+// under the page's lock, once the Referral · … toggle was added. Returns the
+// referrer status (see upsertReferrer), or null when the network is not configured.
+async function recordReferral(pageId, refRow, pages) {
+  if (!REFERRERS_DATABASE_ID) return null;
+  const date = referralDate(refRow);
+  const referrer = await upsertReferrer(refRow, date, pages.referrers);
+
+  const { properties: current = {} } = await n.pages.retrieve({ page_id: pageId });
+  const sectors = cell(refRow, MAPPING.references.sectors);
+  const properties = {
+    [REFERRAL_COUNT_PROP]:   { number: (current[REFERRAL_COUNT_PROP]?.number || 0) + 1 },
+    [LATEST_REFERRAL_PROP]:  { date: { start: laterDate(current[LATEST_REFERRAL_PROP]?.date?.start, date) } },
+    [REFERRAL_SECTORS_PROP]: { multi_select: unionOptions(
+      selectNames(current[REFERRAL_SECTORS_PROP]),
+      sectors ? selectNames(PROPERTY_BUILDERS.multi_select(sectors)) : [],
+    ) },
+  };
+  if (referrer?.page) {
+    properties[REFERRERS_PROP] = { relation: unionIds(relationIds(current[REFERRERS_PROP]), [referrer.page.id]) };
+  }
+  await n.pages.update({ page_id: pageId, properties });
+  return referrer?.status || null;
+}
+
+// Adds the referral counts, sectors and referrers of a merged [REFERENCE] page to
+// its target. `moved` is the number of Referral · … toggles that were moved.
+async function mergeReferralProperties(refPageId, targetId, moved) {
+  if (!REFERRERS_DATABASE_ID || !moved) return;
+  const [{ properties: from = {} }, { properties: into = {} }] = await Promise.all([
+    n.pages.retrieve({ page_id: refPageId }),
+    n.pages.retrieve({ page_id: targetId }),
+  ]);
+  const latest = laterDate(into[LATEST_REFERRAL_PROP]?.date?.start, from[LATEST_REFERRAL_PROP]?.date?.start);
+  await n.pages.update({ page_id: targetId, properties: {
+    [REFERRAL_COUNT_PROP]:   { number: (into[REFERRAL_COUNT_PROP]?.number || 0) + moved },
+    [LATEST_REFERRAL_PROP]:  { date: latest ? { start: latest } : null },
+    [REFERRAL_SECTORS_PROP]: { multi_select: unionOptions(selectNames(into[REFERRAL_SECTORS_PROP]), selectNames(from[REFERRAL_SECTORS_PROP])) },
+    [REFERRERS_PROP]:        { relation: unionIds(relationIds(into[REFERRERS_PROP]), relationIds(from[REFERRERS_PROP])) },
+  } });
+}
+
+// ===================== SECTION: Reference Page Merging =====================
+// A reference can arrive before the startup applies and become a standalone
+// [REFERENCE] page. When the founder's submission is imported later, every
+// [REFERENCE] page scoring at or above `autoAttach` against the new page is merged
+// into it: its Referral · … toggles are copied under the new page's Referral Insight
+// toggle and the standalone page is archived. `--reconcile-references` does the
+// same once for pairs that already exist.
+async function listAllChildren(block_id) {
+  const results = [];
+  let cursor;
+  do {
+    const resp = await n.blocks.children.list({ block_id, start_cursor: cursor });
+    results.push(...resp.results);
+    cursor = resp.has_more ? resp.next_cursor : undefined;
+  } while (cursor);
+  return results;
+}
+
+const cleanRichText = (items) => (items || []).map(({ type, [type]: value, annotations }) => ({ type, [type]: value, annotations }));
+
+// Rebuilds a block read from Notion as an append payload, its children included
+// (a table cannot be created without its rows).
+async function blockPayload(block) {
+  const { rich_text, cells, ...rest } = block[block.type];
+  const body = { ...rest };
+  if (rich_text) body.rich_text = cleanRichText(rich_text);
+  if (cells)     body.cells = cells.map(cleanRichText);
+  if (block.has_children) body.children = await Promise.all((await listAllChildren(block.id)).map(blockPayload));
+  return { object: "block", type: block.type, [block.type]: body };
+}
+
+// Moves the Referral · … toggles of a [REFERENCE] page under the target page's
+// Referral Insight toggle, skipping ones it already has, then archives the
+// [REFERENCE] page. Returns the number of toggles moved, or null when the page was
+// already merged during this run.
+async function mergeReferencePage(refPage, target, pages) {
+  if (!pages.has(refPage.id)) return null;
+
+  const referralToggles = [];
+  for (const ri of await listAllChildren(refPage.id)) {
+    if (ri.type !== "toggle" || ri.toggle?.rich_text?.[0]?.text?.content !== "Referral Insight") continue;
+    referralToggles.push(...(await listAllChildren(ri.id)).filter(b => b.type === "toggle"));
+  }
+
+  const moved = await withKeyLock(target.id, async () => {
+    await dedupeToggles(target.id, ["Referral Insight"]);
+    const riId = await ensureToggle(target.id, "Referral Insight");
+    const existingTitles = new Set((await listAllChildren(riId))
+      .filter(b => b.type === "toggle")
+      .map(b => b.toggle?.rich_text?.[0]?.text?.content || ""));
+
+    let count = 0;
+    for (const toggle of referralToggles) {
+      const title = toggle.toggle?.rich_text?.[0]?.text?.content || "";
+      if (existingTitles.has(title)) continue;
+      await appendSafe(riId, [await blockPayload(toggle)]);
+      count++;
+    }
+    await mergeReferralProperties(refPage.id, target.id, count);
+    return count;
+  });
+
+  await n.pages.update({ page_id: refPage.id, archived: true });
+  pages.remove(refPage);
+  return moved;
+}
+
+// Merges every [REFERENCE] page that confidently matches a newly created page.
+async function absorbReferencePages(page, pages) {
+  const fields = pageMatchFields(page);
+  const { autoAttach } = referenceMatchingConfig();
+  const matches = scoreReference(fields, await pages.referenceCandidates(fields, { referencePages: true }))
+    .candidates.filter(c => c.score >= autoAttach && isReferencePage(c.page));
+
+  const merged = [];
+  for (const { page: refPage, score, signals } of matches) {
+    const title = pageTitleOf(refPage);
+    const moved = await withKeyLock(`reference:${title}`, () => mergeReferencePage(refPage, page, pages));
+    if (moved === null) continue;
+    console.log(`🧩 Merged "${title}" into "${pageTitleOf(page)}" (score ${score}: ${describeSignals(signals)}) — ${moved} referral(s) moved`);
+    merged.push({ pageId: refPage.id, title, score, signals, moved });
+  }
+  return merged;
+}
+
+// One-off pass over the whole database: merges each [REFERENCE] page into the
+// best-scoring founder page at or above `autoAttach`.
+async function reconcileReferences() {
+  const startedAt = new Date();
+  console.log(`🧩 Reconciling [REFERENCE] pages${DRY_RUN ? " (dry run — no Notion writes)" : ""}`);
+
+  const allPages = await fetchAllPages();
+  const pages = createPageIndex(allPages);
+  const refPages = allPages.filter(isReferencePage);
+  const founderPages = allPages.filter(p => !isReferencePage(p));
+  console.log(`📚 ${refPages.length} [REFERENCE] page(s), ${founderPages.length} other page(s)`);
+
+  const results = (await mapConcurrent(refPages, IMPORT_CONCURRENCY, async (refPage) => {
+    const title = pageTitleOf(refPage);
+    const match = scoreReference(pageMatchFields(refPage), founderPages);
+    if (match.decision !== "attach") return null;
+    const { page: target, score, signals } = match.best;
+    const matchedTitle = pageTitleOf(target);
     try {
-      await processReferenceRow(row, existingPages, processedRefIds);
+      const moved = await withKeyLock(`reference:${title}`, () => mergeReferencePage(refPage, target, pages));
+      console.log(`🧩 Merged "${title}" into "${matchedTitle}" (score ${score}: ${describeSignals(signals)}) — ${moved} referral(s) moved`);
+      return {
+        kind: "reference", row: null, outcome: "reference-merged", submissionId: submissionIdOf(refPage),
+        title, matchedTitle, score, signals, moved, page: target,
+      };
     } catch (err) {
-      console.error(`⚠️  Error processing reference row (startup: "${row[7]}"): `, err?.message || err);
+      console.error(`⚠️  Error merging "${title}" into "${matchedTitle}": `, err?.message || err);
+      return {
+        kind: "reference", row: null, outcome: "failed", submissionId: submissionIdOf(refPage),
+        title, errorClass: errorClass(err), error: err?.message || String(err),
+      };
     }
+  })).filter(Boolean);
+
+  console.log(`📎 ${refPages.length - results.length} [REFERENCE] page(s) without a confident match left as they are`);
+  finishRun(results, { startedAt, mode: "reference reconciliation" });
+  if (DRY_RUN) printDryRunPlan(results);
+}
+
+// ===================== SECTION: Privacy =====================
+// Referrers who answer "Stay anonymous?" with yes never reach Notion: the columns
+// in `anonymousRedacts` (referrer name, email, how they know us) are redacted in
+// the Referral Insight table and left out of mapped properties, so their identity
+// stays only in the references sheet.
+//
+// `node index.js --erase <email> …` handles erasure requests. Pages whose Founder
+// Email matches are scrubbed of their personal properties and archived, Referral · …
+// toggles containing the address are archived (and a [REFERENCE] page left without
+// referrals with them), and the report is written to ERASURE_REPORT_FILE. The
+// address is added to SUPPRESSION_FILE as an HMAC-SHA256 keyed with SUPPRESSION_KEY:
+// later runs skip submissions and references about it and redact it as a referrer,
+// so the rows still in the sheets are not imported again. The key keeps the
+// committed list from confirming a guessed address; the file records a fingerprint
+// of it so a run with a different key fails instead of importing erased people.
+const SUPPRESSION_FILE    = process.env.SUPPRESSION_FILE || new URL("./.suppressed-emails.json", import.meta.url);
+const ERASURE_REPORT_FILE = process.env.ERASURE_REPORT_FILE || new URL("./erasure-report.json", import.meta.url);
+const DEFAULT_PERSONAL_PROPERTIES = ["Founder Name", "Founder Email", "Founder LinkedIn"];
+const personalProperties = () => MAPPING.privacy?.personalProperties || DEFAULT_PERSONAL_PROPERTIES;
+const REDACTED = "(anonymous)";
+const YES_ANSWER = /^\s*(yes|ja|y|true|1)\b/i;
+
+const normEmail = (s) => String(s ?? "").trim().toLowerCase();
+const EMAIL_TOKEN = /[\w.!#$%&'*+/=?^`{|}~-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+// Whole addresses in free text, so erasing an@fund.vc never matches dan@fund.vc.
+const emailsIn = (text) => (String(text ?? "").match(EMAIL_TOKEN) || []).map(normEmail);
+function suppressionKey() {
+  if (!process.env.SUPPRESSION_KEY) throw new Error("SUPPRESSION_KEY is not set — it keys the hashes in the suppression list");
+  return process.env.SUPPRESSION_KEY;
+}
+
+const emailHash = (email) => createHmac("sha256", suppressionKey()).update(normEmail(email)).digest("hex");
+const keyFingerprint = () => createHmac("sha256", suppressionKey()).update("suppression-key-check").digest("hex").slice(0, 16);
+
+// Re-read whenever the file changes, so a long-running --serve picks up erasures.
+let suppression = null;
+function suppressionList() {
+  const mtimeMs = existsSync(SUPPRESSION_FILE) ? statSync(SUPPRESSION_FILE).mtimeMs : 0;
+  const key = process.env.SUPPRESSION_KEY;
+  if (suppression?.mtimeMs === mtimeMs && suppression.key === key) return suppression.hashes;
+  let hashes = [];
+  if (mtimeMs) {
+    const file = JSON.parse(readFileSync(SUPPRESSION_FILE, "utf8"));
+    if (Array.isArray(file)) {
+      throw new Error("The suppression list holds unkeyed hashes — rebuild it with SUPPRESSION_KEY set (see Privacy in the README)");
+    }
+    if (file.keyFingerprint !== keyFingerprint()) {
+      throw new Error("SUPPRESSION_KEY does not match the key the suppression list was written with");
+    }
+    hashes = file.hashes || [];
   }
+  suppression = { mtimeMs, key, hashes: new Set(hashes) };
+  return suppression.hashes;
+}
 
-  console.log("🎉 Import complete.");
+const isSuppressed = (email) => {
+  const list = suppressionList();
+  return !!normEmail(email) && list.size > 0 && list.has(emailHash(email));
+};
+
+// Email columns of a row, per the property specs it is mapped with.
+const rowEmails = (row, specs) => specs.filter(p => p.type === "email").map(p => cell(row, p.header)).filter(Boolean);
+
+// Headers to keep out of Notion for this reference row: none, unless the referrer
+// asked to stay anonymous or their address was erased.
+const referrerHidden = (refRow) => YES_ANSWER.test(cell(refRow, MAPPING.references.anonymous)) ||
+  isSuppressed(cell(refRow, MAPPING.references.referrerEmail));
+
+function redactedReferenceHeaders(refRow) {
+  const cols = MAPPING.references;
+  if (!referrerHidden(refRow)) return new Set();
+  return new Set([cols.referrerName, cols.referrerEmail, ...(cols.anonymousRedacts || [])].filter(Boolean).map(normHeader));
+}
+
+function referenceTablePairs(refRow) {
+  const redacted = redactedReferenceHeaders(refRow);
+  return (MAPPING.references.table || []).map(toggleSpec).map(({ header, label }) => {
+    const value = cell(refRow, header);
+    return [label, value && redacted.has(normHeader(header)) ? REDACTED : value];
+  });
+}
+
+const referenceProperties = (refRow) => {
+  const redacted = redactedReferenceHeaders(refRow);
+  return buildProperties(refRow, (MAPPING.references.properties || []).filter(p => !redacted.has(normHeader(p.header))));
+};
+
+// Text of a block and everything below it, table cells included.
+async function blockTreeText(block) {
+  const own = block.type === "table_row"
+    ? block.table_row.cells.map(plainText).join(" ")
+    : plainText(block[block.type]?.rich_text);
+  if (!block.has_children) return own;
+  const kids = await listAllChildren(block.id);
+  return [own, ...await Promise.all(kids.map(blockTreeText))].join("\n");
 }
 
-main().catch(err => {
-  console.error("❌ Fatal:", err);
-  process.exit(1);
+async function scrubAndArchive(page, personal = personalProperties()) {
+  const properties = {};
+  for (const name of personal) {
+    const type = page.properties?.[name]?.type;
+    if (EMPTY_PROPERTY[type]) properties[name] = EMPTY_PROPERTY[type];
+  }
+  await n.pages.update({ page_id: page.id, properties, archived: true });
+}
+
+// Archives the Referral · … toggles of a page that mention one of the addresses.
+// Returns the titles of the archived toggles and how many toggles are left.
+async function eraseReferrals(page, mentions) {
+  const erased = [];
+  let kept = 0;
+  for (const ri of await listAllChildren(page.id)) {
+    if (ri.type !== "toggle" || ri.toggle?.rich_text?.[0]?.text?.content !== "Referral Insight") continue;
+    for (const toggle of (await listAllChildren(ri.id)).filter(b => b.type === "toggle")) {
+      if (!mentions(await blockTreeText(toggle))) {
+        kept++;
+        continue;
+      }
+      await n.blocks.update({ block_id: toggle.id, archived: true });
+      erased.push(plainText(toggle.toggle.rich_text));
+    }
+  }
+  return { erased, kept };
+}
+
+async function eraseEmails(emails) {
+  const targets = [...new Set(emails.map(normEmail).filter(Boolean))];
+  if (!targets.length) throw new Error("--erase needs at least one email address");
+  console.log(`🧹 Erasing ${targets.length} email address(es)${DRY_RUN ? " (dry run — no Notion writes)" : ""}`);
+  const mentions = (text) => emailsIn(text).some(email => targets.includes(email));
+
+  const allPages = await fetchAllPages();
+  console.log(`📚 Searching ${allPages.length} page(s)`);
+  const report = {
+    erasedAt: new Date().toISOString(), dryRun: DRY_RUN,
+    emailHashes: targets.map(emailHash), pages: [], referrals: [],
+  };
+
+  if (REFERRERS_DATABASE_ID) {
+    for (const email of targets) {
+      const { results } = await n.databases.query({
+        database_id: REFERRERS_DATABASE_ID, filter: { property: "Email", email: { equals: email } },
+      });
+      for (const page of results) {
+        const title = pageTitleOf(page);
+        await scrubAndArchive(page, ["Name", "Email"]);
+        console.log(`🗑  Archived referrer "${title}"`);
+        report.pages.push({ pageId: page.id, title, reason: "Referrer" });
+      }
+    }
+  }
+
+  await mapConcurrent(allPages, IMPORT_CONCURRENCY, async (page) => {
+    const title = pageTitleOf(page);
+    if (targets.includes(normEmail(page.properties?.["Founder Email"]?.email))) {
+      await withKeyLock(page.id, () => scrubAndArchive(page));
+      console.log(`🗑  Archived "${title}" (Founder Email)`);
+      report.pages.push({ pageId: page.id, title, reason: "Founder Email" });
+      return;
+    }
+    const { erased, kept } = await withKeyLock(page.id, () => eraseReferrals(page, mentions));
+    if (!erased.length) return;
+    console.log(`🗑  Archived ${erased.length} referral(s) on "${title}"`);
+    report.referrals.push(...erased.map(toggle => ({ pageId: page.id, title, toggle })));
+    const count = page.properties?.[REFERRAL_COUNT_PROP]?.number;
+    if (REFERRERS_DATABASE_ID && count) {
+      await n.pages.update({ page_id: page.id, properties: { [REFERRAL_COUNT_PROP]: { number: Math.max(0, count - erased.length) } } });
+    }
+    if (!kept && isReferencePage(page)) {
+      await n.pages.update({ page_id: page.id, archived: true });
+      console.log(`🗑  Archived "${title}" (no referrals left)`);
+      report.pages.push({ pageId: page.id, title, reason: "no referrals left" });
+    }
+  });
+
+  const list = suppressionList();
+  for (const email of targets) list.add(emailHash(email));
+  if (!DRY_RUN) {
+    writeFileSync(SUPPRESSION_FILE, JSON.stringify({ keyFingerprint: keyFingerprint(), hashes: [...list].sort() }, null, 2) + "\n");
+  }
+  writeFileSync(ERASURE_REPORT_FILE, JSON.stringify(report, null, 2) + "\n");
+  console.log(`🧹 ${report.pages.length} page(s) and ${report.referrals.length} referral(s) ${DRY_RUN ? "would be " : ""}removed — details in the erasure report`);
+  if (!DRY_RUN) console.log("🔒 Suppression list updated — delete the rows from the source sheets as well");
+}
+
+// ===================== SECTION: Intake Sources =====================
+// Submissions reach the importer through source adapters: { name, read(fromRow) },
+// where read() resolves to a table { headers, values, fromRow, meta? } — the header
+// row, positional data rows with values[0] at 1-based row `fromRow`, and for
+// sources that carry them (form exports) a per-row { id, submittedAt }.
+// submissionsOf() maps a table through mapping.json into normalised submissions
+//   { id, submittedAt, entity, fields: { "<mapping header>": "<answer>" }, row }
+// and submissionRecord() turns one into the record the import path works on, so
+// every source shares the same mapping, dedupe and Notion writes.
+
+// Reads the header row plus data rows from `fromRow` (1-based) on, so columns can
+// be resolved by name without re-reading rows an earlier run already processed.
+async function fetchSheet(spreadsheetId, fromRow = 2) {
+  const resp = await withRetry(
+    () => sheets.spreadsheets.values.batchGet({ spreadsheetId, ranges: ["A1:AZ1", `A${fromRow}:AZ`] }),
+    { tries: 5, baseDelay: 500 }
+  );
+  const [headerRange, dataRange] = resp.data.valueRanges || [];
+  return { headers: headerRange?.values?.[0] || [], values: dataRange?.values || [], fromRow };
+}
+
+function sheetSource(spreadsheetId) {
+  return { name: "Google Sheets", spreadsheetId, read: (fromRow) => fetchSheet(spreadsheetId, fromRow) };
+}
+
+// The two form sheets the scheduled run reads, keyed by row kind.
+const sheetSources = () => ({
+  incoming:  sheetSource(process.env.GOOGLE_SHEET_ID_INCOMING),
+  reference: sheetSource(process.env.GOOGLE_SHEET_ID_REFS),
 });
+
+// Source headers renamed via the section's optional "aliases" map
+// ({ "<source header>": "<mapping header>" }), for exports whose questions are
+// worded differently from the form.
+const aliasedHeaders = (headers, section) =>
+  headers.map(h => section.aliases?.[h] ?? section.aliases?.[String(h).trim()] ?? h);
+
+// `idPrefix` marks a one-off source: identity columns it lacks are added, blank
+// Submission IDs become the export's response id or `${idPrefix}-<content hash>`
+// (stable across re-imports of the same file), and `entity` fills a blank entity
+// answer. Sheets pass neither, so a missing identity column still aborts.
+function submissionsOf({ headers, values, fromRow = 2, meta = [] }, section, sectionName, { idPrefix = null, entity = null } = {}) {
+  const named = aliasedHeaders(headers, section);
+  const present = new Set(named.map(normHeader));
+  const added = idPrefix
+    ? [section.submissionId, section.submittedAt, section.entity].filter(h => h && !present.has(normHeader(h)))
+    : [];
+  const columns = resolveColumns([...named, ...added], section, sectionName);
+
+  return values.map((row, i) => {
+    const { _row, ...fields } = rowToRecord(row, columns, fromRow + i);
+    const { id, submittedAt } = meta[i] || {};
+    if (idPrefix && !cell(fields, section.submissionId)) {
+      fields[section.submissionId] = id || `${idPrefix}-${createHash("sha256").update(JSON.stringify(fields)).digest("hex").slice(0, 12)}`;
+    }
+    if (section.submittedAt && submittedAt && !cell(fields, section.submittedAt)) fields[section.submittedAt] = submittedAt;
+    if (section.entity && entity && !cell(fields, section.entity)) fields[section.entity] = entity;
+    return {
+      id:          cell(fields, section.submissionId),
+      submittedAt: cell(fields, section.submittedAt) || null,
+      entity:      cell(fields, section.entity) || null,
+      fields,
+      row:         _row,
+    };
+  });
+}
+
+const submissionRecord = ({ fields, row }) => ({ ...fields, _row: row });
+
+// Resolves the mapping against the sheet's header row and returns records keyed
+// by mapping header text; `_row` on each record is the 1-based sheet row.
+function sheetRecords(sheet, section, sectionName) {
+  return submissionsOf(sheet, section, sectionName).map(submissionRecord);
+}
+
+// ===================== SECTION: File Sources =====================
+// One-off imports (`--import-file`) read local exports: CSV/TSV, XLSX (first
+// worksheet), Typeform JSON (Responses API `{ items }` or webhook payloads) and
+// Tally JSON (webhook payloads). Each adapter turns the file into a source table;
+// row numbers count the header as row 1 and skip blank rows.
+const FILE_FORMATS = ["csv", "xlsx", "typeform", "tally"];
+
+function fileSource(path, format = null) {
+  const kind = format || fileFormat(path);
+  if (!FILE_FORMATS.includes(kind)) {
+    throw new Error(`Unknown file format "${kind}" — use one of: ${FILE_FORMATS.join(", ")}`);
+  }
+  const read = {
+    csv:      () => csvTable(readFileSync(path, "utf8"), extname(path).toLowerCase() === ".tsv" ? "\t" : null),
+    xlsx:     () => xlsxTable(readFileSync(path)),
+    typeform: () => typeformTable(JSON.parse(readFileSync(path, "utf8"))),
+    tally:    () => tallyTable(JSON.parse(readFileSync(path, "utf8"))),
+  }[kind];
+  return { name: `${basename(path)} (${kind})`, format: kind, read: async () => read() };
+}
+
+function fileFormat(path) {
+  const ext = extname(path).toLowerCase();
+  if (ext === ".csv" || ext === ".tsv") return "csv";
+  if (ext === ".xlsx") return "xlsx";
+  if (ext !== ".json") throw new Error(`Cannot tell the format of ${basename(path)} — pass --format ${FILE_FORMATS.join("|")}`);
+  const doc = JSON.parse(readFileSync(path, "utf8"));
+  const first = (Array.isArray(doc) ? doc : doc?.items || [doc])[0];
+  if (first?.form_response || first?.answers) return "typeform";
+  if (first?.data?.fields || first?.eventType) return "tally";
+  throw new Error(`${basename(path)} is neither a Typeform nor a Tally export — pass --format typeform|tally`);
+}
+
+// CSV via csv-parse. Without an explicit delimiter the header line decides
+// between "," and ";" (spreadsheet exports in German or French locales use ";").
+function csvTable(text, delimiter = null) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = (ch) => firstLine.split(ch).length - 1;
+  const rows = parseCsv(text, {
+    bom: true,
+    delimiter: delimiter || (count(";") > count(",") ? ";" : ","),
+    relax_column_count: true,
+    skip_empty_lines: true,
+    skip_records_with_empty_values: true,
+  });
+  const [headers = [], ...values] = rows;
+  return { headers, values, fromRow: 2 };
+}
+
+// XLSX via exceljs, first worksheet. Date cells become ISO dates (date only when
+// there is no time of day); rich text, formulas and hyperlinks become their text.
+async function xlsxTable(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const [sheet] = workbook.worksheets;
+  if (!sheet) throw new Error("XLSX file has no worksheet");
+  const grid = [];
+  sheet.eachRow((row) => grid.push(Array.from(row.values.slice(1), xlsxCellText)));
+  const [headers = [], ...values] = grid.filter(r => r.some(v => v !== ""));
+  return { headers, values, fromRow: 2 };
+}
+
+function xlsxCellText(value) {
+  if (value == null) return "";
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+  }
+  if (typeof value !== "object") return String(value);
+  if (value.richText) return value.richText.map(r => r.text).join("");
+  if ("result" in value) return xlsxCellText(value.result);
+  if (value.hyperlink) return xlsxCellText(value.text) || value.hyperlink;
+  if (value.error) return value.error;
+  return xlsxCellText(value.text);
+}
+
+// Builds a table from form responses given as { id, submittedAt, answers: [[question, value]] }.
+function responsesTable(responses) {
+  const headers = [...new Set(responses.flatMap(r => r.answers.map(([q]) => q)))];
+  const values = responses.map(r => {
+    const byQuestion = new Map(r.answers);
+    return headers.map(h => byQuestion.get(h) ?? "");
+  });
+  return { headers, values, fromRow: 2, meta: responses.map(({ id, submittedAt }) => ({ id, submittedAt })) };
+}
+
+// Typeform: Responses API exports ({ items }) or webhook payloads ({ form_response },
+// one or an array). Questions are named by their title from the payload's
+// `definition`; API exports carry only field refs, which "aliases" can map.
+function typeformTable(doc) {
+  const list = Array.isArray(doc) ? doc : doc?.items || [doc];
+  const responses = list.map(item => {
+    const r = item.form_response || item;
+    const titles = new Map((r.definition?.fields || doc?.definition?.fields || []).map(f => [f.id, f.title]));
+    return {
+      id: r.response_id || r.token || "",
+      submittedAt: r.submitted_at || "",
+      answers: (r.answers || []).map(a => [titles.get(a.field?.id) || a.field?.ref || a.field?.id, typeformValue(a)]),
+    };
+  });
+  return responsesTable(responses);
+}
+
+function typeformValue(answer) {
+  const v = answer[answer.type];
+  if (answer.type === "choice") return v?.label ?? v?.other ?? "";
+  if (answer.type === "choices") return [...(v?.labels || []), ...(v?.other ? [v.other] : [])].join(", ");
+  if (answer.type === "boolean") return v ? "Yes" : "No";
+  if (answer.type === "payment") return v?.amount ?? "";
+  return v == null ? "" : String(v);
+}
+
+// Tally: webhook payloads ({ eventType: "FORM_RESPONSE", data: { fields } }), one
+// or an array. Choice answers arrive as option ids and are mapped to their text.
+function tallyTable(doc) {
+  const list = Array.isArray(doc) ? doc : [doc];
+  const responses = list.map(payload => {
+    const data = payload.data || payload;
+    return {
+      id: data.submissionId || data.responseId || "",
+      submittedAt: data.createdAt || payload.createdAt || "",
+      answers: (data.fields || []).map(f => [f.label || f.key, tallyValue(f)]),
+    };
+  });
+  return responsesTable(responses);
+}
+
+function tallyValue(field) {
+  const { value, options = [] } = field;
+  if (value == null) return "";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (!Array.isArray(value)) return typeof value === "object" ? value.url || JSON.stringify(value) : String(value);
+  const text = new Map(options.map(o => [o.id, o.text]));
+  return value.map(v => (typeof v === "object" && v ? v.url || v.name || "" : text.get(v) ?? String(v))).join(", ");
+}
+
+// ===================== SECTION: Sheet Write-Back =====================
+// With SHEET_WRITE_BACK=true each processed row gets its Notion page URL, an
+// import status and the import time written into three columns of its sheet, so
+// people working in the sheets can see what reached Notion. The columns are found
+// by header ("writeBack" in mapping.json, defaults below) and added after the last
+// header when missing. All cells of a sheet go out in one values.batchUpdate per
+// run. Rows skipped as already imported are only filled in when their status cell
+// is still empty, so the original import time is kept. Dry runs never write.
+const DEFAULT_WRITE_BACK = { url: "Notion URL", status: "Import Status", importedAt: "Imported At" };
+const writeBackHeaders = () => ({ ...DEFAULT_WRITE_BACK, ...MAPPING.writeBack });
+
+const columnLetter = (index) => {
+  let letters = "";
+  for (let i = index + 1; i > 0; i = Math.floor((i - 1) / 26)) letters = String.fromCharCode(65 + (i - 1) % 26) + letters;
+  return letters;
+};
+
+// Notion returns `url` on pages it sends back; pages registered during this run
+// only carry their id.
+const pageUrl = (page) => page?.url ||
+  (page?.id && !page.id.startsWith(DRY_RUN_PREFIX) ? `https://www.notion.so/${page.id.replace(/-/g, "")}` : "");
+
+function importStatus(result) {
+  switch (result.outcome) {
+    case "created":                return "imported";
+    case "updated":                return "updated";
+    case "skipped-duplicate":      return "imported";
+    case "skipped-unknown-entity": return `skipped: unknown entity "${result.entity}"`;
+    case "skipped-empty-name":     return "skipped: empty organisation name";
+    case "skipped-suppressed":     return "skipped: email erased on request";
+    case "reference-matched":      return `matched to page "${result.matchedTitle}"`;
+    case "reference-review":       return `needs review: ${result.title}`;
+    case "reference-standalone":   return `standalone reference: ${result.title}`;
+    case "failed":                 return `failed: ${result.errorClass}: ${result.error}`;
+    default:                       return result.outcome;
+  }
+}
+
+// Value ranges for one sheet: missing headers first, then one range per cell.
+function writeBackRanges({ headers, values, fromRow = 2 }, results, importedAt) {
+  const wanted = writeBackHeaders();
+  const columns = {};
+  const data = [];
+  let next = headers.reduce((last, h, i) => (String(h ?? "").trim() ? i : last), -1) + 1;
+  for (const [key, header] of Object.entries(wanted)) {
+    const index = headers.findIndex(h => normHeader(h) === normHeader(header));
+    if (index >= 0) {
+      columns[key] = columnLetter(index);
+    } else {
+      columns[key] = columnLetter(next++);
+      data.push({ range: `${columns[key]}1`, values: [[header]] });
+    }
+  }
+  const statusIndex = headers.findIndex(h => normHeader(h) === normHeader(wanted.status));
+
+  for (const r of results) {
+    if (!r.row) continue;
+    const cells = { url: pageUrl(r.page), status: importStatus(r), importedAt };
+    if (r.outcome === "skipped-duplicate") {
+      // The API drops trailing empty cells, so a short row has an empty status.
+      const current = statusIndex >= 0 ? values[r.row - fromRow]?.[statusIndex] : "";
+      if (!r.page || String(current ?? "").trim()) continue;
+      delete cells.importedAt;
+    }
+    for (const [key, value] of Object.entries(cells)) {
+      data.push({ range: `${columns[key]}${r.row}`, values: [[value]] });
+    }
+  }
+  return data;
+}
+
+async function writeBackResults(results, sheetsByKind) {
+  if (!WRITE_BACK || DRY_RUN) return;
+  const importedAt = new Date().toISOString();
+  for (const [kind, { spreadsheetId, sheet }] of Object.entries(sheetsByKind)) {
+    const data = writeBackRanges(sheet, results.filter(r => r.kind === kind), importedAt);
+    if (!data.length) continue;
+    try {
+      await withRetry(
+        () => sheets.spreadsheets.values.batchUpdate({ spreadsheetId, requestBody: { valueInputOption: "RAW", data } }),
+        { tries: 5, baseDelay: 500 }
+      );
+      console.log(`📝 Wrote import status back to the ${kind} sheet (${data.length} cell(s))`);
+    } catch (err) {
+      // The Notion side is done; the next full sync fills in what is still empty.
+      console.error(`⚠️  Sheet write-back failed for the ${kind} sheet: `, err?.message || err);
+    }
+  }
+}
+
+// ===================== SECTION: Sync State =====================
+// Incremental runs only read rows after the last processed one. The state file
+// records, per sheet, that row and its Submission ID: the row is re-read as an
+// anchor, and if its Submission ID no longer matches (rows were deleted or
+// re-sorted) the sheet is read in full instead.
+//
+// Edits to already-imported rows are only seen by a full pass, which runs when
+// there is no state yet, with --full, or once FULL_SYNC_INTERVAL_HOURS (default
+// 24) have passed since the last one.
+const SYNC_STATE_FILE = process.env.SYNC_STATE_FILE || new URL("./.sync-state.json", import.meta.url);
+const FULL_SYNC_INTERVAL_MS = (Number(process.env.FULL_SYNC_INTERVAL_HOURS) || 24) * 3600 * 1000;
+
+function loadSyncState() {
+  if (!existsSync(SYNC_STATE_FILE)) return {};
+  try {
+    return JSON.parse(readFileSync(SYNC_STATE_FILE, "utf8"));
+  } catch (err) {
+    console.warn(`⚠️  Ignoring unreadable sync state: ${err.message}`);
+    return {};
+  }
+}
+
+function saveSyncState(state) {
+  writeFileSync(SYNC_STATE_FILE, JSON.stringify(state, null, 2) + "\n");
+}
+
+function needsFullSync(state) {
+  if (hasFlag("--full")) return "--full";
+  if (!state.lastFullSync) return "no previous full sync";
+  if (Date.now() - Date.parse(state.lastFullSync) > FULL_SYNC_INTERVAL_MS) return "full sync interval elapsed";
+  return null;
+}
+
+// Records after the cursor's anchor row, or null when the anchor moved.
+function rowsAfterCursor(records, cursor, section) {
+  const [anchor, ...rest] = records;
+  if (!anchor || anchor._row !== cursor.lastRow) return null;
+  return cell(anchor, section.submissionId) === cursor.lastSubmissionId ? rest : null;
+}
+
+// Returns all fetched records (for the next cursor), the rows still to process and
+// whether the sheet was read in full.
+async function readSheetRows(source, sheet, section, sectionName, cursor) {
+  const records = sheetRecords(sheet, section, sectionName);
+  if (!cursor) return { records, rows: records, full: true, sheet };
+  const rows = rowsAfterCursor(records, cursor, section);
+  if (rows) return { records, rows, full: false, sheet };
+  console.warn(`⚠️  ${sectionName} sheet rows moved since the last run — reading it in full`);
+  const fullSheet = await source.read();
+  const all = sheetRecords(fullSheet, section, sectionName);
+  return { records: all, rows: all, full: true, sheet: fullSheet };
+}
+
+function cursorFor(records, section, previous) {
+  const last = records[records.length - 1];
+  if (!last) return previous || null;
+  return { lastRow: last._row, lastSubmissionId: cell(last, section.submissionId) };
+}
+
+// ===================== SECTION: Schema Drift Detection =====================
+// Runs before any write: compares sheet headers and the Notion database schema
+// with what mapping.json and the entity routing expect, so a renamed column or a
+// deleted/retyped property aborts the run instead of producing half-filled pages.
+// Set SCHEMA_CHECK=warn to log the diff and continue anyway.
+function expectedSchema(databaseId) {
+  if (databaseId === REFERRERS_DATABASE_ID) {
+    return {
+      Name:                   { type: "title" },
+      Email:                  { type: "email" },
+      [REFERRAL_COUNT_PROP]:  { type: "number" },
+      [LATEST_REFERRAL_PROP]: { type: "date" },
+    };
+  }
+  const expected = {
+    Name:            { type: "title" },
+    "Submission ID": { type: "rich_text" },
+    "Last Updated":  { type: "date" },
+    [FINGERPRINT_PROP]: { type: "rich_text" },
+  };
+  const merge = (property, want) => {
+    const prev = expected[property];
+    if (prev && prev.type !== want.type) {
+      throw new Error(`mapping.json maps "${property}" as both ${prev.type} and ${want.type}`);
+    }
+    const options = [...new Set([...(prev?.options || []), ...(want.options || [])])];
+    expected[property] = options.length ? { ...want, options } : want;
+  };
+
+  const entities = ENTITIES.filter(e => e.databaseId === databaseId);
+  for (const entity of entities) {
+    merge(entity.statusProperty, { type: "select", options: [entity.initialStatus] });
+    for (const [property, type] of Object.entries(specPropertyTypes(entity.properties))) merge(property, { type });
+  }
+  if (entities.length) {
+    merge("Duplicate Check",       { type: "select", options: ["Possible duplicate"] });
+    merge("Possible Duplicate Of", { type: "relation" });
+  }
+  const rules = RULES_CONFIG.rules || [];
+  if (entities.length && rules.length) {
+    merge(TRIAGE_RULE_PROP, { type: "rich_text" });
+    for (const rule of rules) {
+      for (const [target, value] of Object.entries(rule.set || {})) {
+        if (target !== "status") merge(target, { type: Object.keys(value)[0] });
+      }
+    }
+  }
+  if (REFERRERS_DATABASE_ID) {
+    merge(REFERRAL_COUNT_PROP,   { type: "number" });
+    merge(LATEST_REFERRAL_PROP,  { type: "date" });
+    merge(REFERRAL_SECTORS_PROP, { type: "multi_select" });
+    merge(REFERRERS_PROP,        { type: "relation" });
+  }
+  if (databaseId === REFERENCE_DATABASE_ID) {
+    merge("Moonstone Status", { type: "select", options: ["Form Referral", "Needs review"] });
+    for (const [property, type] of Object.entries(specPropertyTypes(MAPPING.references.properties))) merge(property, { type });
+  }
+  return expected;
+}
+
+function diffSheetHeaders(sourceHeaders, section, sectionName) {
+  const headers = aliasedHeaders(sourceHeaders, section);
+  const present = new Set(headers.map(normHeader));
+  const mapped  = new Set(mappedHeaders(section).map(normHeader));
+  const lines = [];
+  for (const header of mappedHeaders(section)) {
+    if (!present.has(normHeader(header))) lines.push(`- ${sectionName} sheet: column "${header}" not found`);
+  }
+  // Unmapped columns are informational only, but next to a "not found" line they
+  // usually reveal what the column was renamed to.
+  for (const header of Object.values(writeBackHeaders())) mapped.add(normHeader(header));
+  const notes = headers
+    .filter(h => h && !mapped.has(normHeader(h)))
+    .map(h => `+ ${sectionName} sheet: column "${h}" is not mapped`);
+  return { lines, notes };
+}
+
+function diffDatabaseSchema(database, databaseId) {
+  const actual = database?.properties || {};
+  const where = DATABASE_IDS.length > 1 || REFERRERS_DATABASE_ID ? `Notion "${plainText(database?.title) || databaseId}"` : "Notion";
+  const lines = [];
+  for (const [name, want] of Object.entries(expectedSchema(databaseId))) {
+    const have = actual[name];
+    if (!have) {
+      lines.push(`- ${where}: property "${name}" (${want.type}) not found`);
+      continue;
+    }
+    if (have.type !== want.type) {
+      lines.push(`~ ${where}: property "${name}" is ${have.type}, expected ${want.type}`);
+      continue;
+    }
+    const options = new Set((have[have.type]?.options || []).map(o => o.name));
+    for (const option of want.options || []) {
+      if (!options.has(option)) lines.push(`- ${where}: select option "${option}" not found on "${name}"`);
+    }
+  }
+  return lines;
+}
+
+// Retrieves the schema of every configured database, the Referrers one included.
+async function retrieveDatabases() {
+  const ids = [...new Set([...DATABASE_IDS, REFERRERS_DATABASE_ID].filter(Boolean))];
+  return Promise.all(ids.map(async (id) => ({ id, database: await n.databases.retrieve({ database_id: id }) })));
+}
+
+const diffDatabaseSchemas = (databases) => databases.flatMap(({ id, database }) => diffDatabaseSchema(database, id));
+
+// A sheet whose headers are not given (file imports only read one kind of row and
+// rarely carry every form question) is left out of the check.
+function checkSchemaDrift({ incomingHeaders, refHeaders, databases }) {
+  const skipped  = { lines: [], notes: [] };
+  const incoming = incomingHeaders ? diffSheetHeaders(incomingHeaders, MAPPING.incoming,   "Incoming")   : skipped;
+  const refs     = refHeaders      ? diffSheetHeaders(refHeaders,      MAPPING.references, "References") : skipped;
+  const lines = [...incoming.lines, ...refs.lines, ...diffDatabaseSchemas(databases)];
+
+  if (!lines.length) {
+    console.log("🧭 Schema check passed");
+    return;
+  }
+
+  const report = [...lines, ...incoming.notes, ...refs.notes].join("\n");
+  if (process.env.SCHEMA_CHECK === "warn") {
+    console.warn(`⚠️  Schema drift detected (SCHEMA_CHECK=warn, continuing):\n${report}`);
+    return;
+  }
+  throw new Error(`Schema drift detected — nothing was written. Update mapping.json or the Notion database:\n${report}`);
+}
+
+// ===================== SECTION: Dead-Letter Queue =====================
+// Rows that fail to import are recorded in .dead-letters.json with their
+// Submission ID, row, error class, sanitised error message and attempt count.
+// Later runs re-read and retry them (even when incremental sync would not see the
+// row again) until they succeed or reach DEAD_LETTER_MAX_ATTEMPTS (default 5), at
+// which point they are escalated: logged as a workflow error and no longer retried
+// automatically. The workflow commits the file, so nothing from the submission is
+// stored: titles are re-read from the sheet for listing, and the message keeps the
+// error's wording and property names but not the values it quotes (see
+// safeErrorMessage); the full message is in the run report.
+//
+//   node index.js --dead-letters                    list entries
+//   node index.js --replay-dead-letters [id …]      retry now, escalated included
+const DEAD_LETTER_FILE         = process.env.DEAD_LETTER_FILE || new URL("./.dead-letters.json", import.meta.url);
+const DEAD_LETTER_MAX_ATTEMPTS = Number(process.env.DEAD_LETTER_MAX_ATTEMPTS) || 5;
+
+const errorClass = (err) => [err?.name || "Error", typeof err?.code === "string" ? err.code : null]
+  .filter(Boolean).join(":");
+
+// An error message without the answers it may quote: quoted and backticked
+// values, email addresses and URLs become "…". Notion validation errors keep the
+// property path ("body.properties.Founder Email.email should be a valid email").
+const safeErrorMessage = (message) => String(message ?? "")
+  .replace(/`[^`]*`|"[^"]*"|“[^”]*”/g, "…")
+  .replace(/\S+@\S+|https?:\/\/\S+/g, "…")
+  .slice(0, 300);
+
+// Rows without a Submission ID are tracked by sheet row number instead.
+const deadLetterKey = (kind, submissionId, row) => `${kind}:${submissionId || `row ${row}`}`;
+
+function loadDeadLetters() {
+  let entries = {};
+  if (existsSync(DEAD_LETTER_FILE)) {
+    try {
+      entries = JSON.parse(readFileSync(DEAD_LETTER_FILE, "utf8"));
+    } catch (err) {
+      console.warn(`⚠️  Ignoring unreadable dead-letter file: ${err.message}`);
+    }
+  }
+
+  const list = (kind) => Object.values(entries).filter(e => !kind || e.kind === kind);
+
+  return {
+    list,
+    retryable: (kind) => list(kind).filter(e => !e.escalated),
+    isEscalated: (kind, record, section) =>
+      !!entries[deadLetterKey(kind, cell(record, section.submissionId), record._row)]?.escalated,
+
+    // Updates entries from one run's results: failures are added or counted up,
+    // anything that now went through is removed.
+    record(results) {
+      const now = new Date().toISOString();
+      for (const r of results) {
+        const key = deadLetterKey(r.kind, r.submissionId, r.row);
+        const prev = entries[key];
+        if (r.outcome !== "failed") {
+          if (prev) {
+            console.log(`💚 Recovered dead letter ${key} after ${prev.attempts} failed attempt(s)`);
+            delete entries[key];
+          }
+          continue;
+        }
+        const attempts = (prev?.attempts || 0) + 1;
+        entries[key] = {
+          kind: r.kind, submissionId: r.submissionId || null, row: r.row ?? null,
+          errorClass: r.errorClass, message: safeErrorMessage(r.error), attempts,
+          firstFailedAt: prev?.firstFailedAt || now, lastFailedAt: now,
+          escalated: attempts >= DEAD_LETTER_MAX_ATTEMPTS,
+        };
+        if (entries[key].escalated && !prev?.escalated) {
+          const msg = `Dead letter ${key} ("${r.title}") failed ${attempts} times — needs manual attention: ${r.errorClass}: ${safeErrorMessage(r.error)}`;
+          console.error(process.env.GITHUB_ACTIONS ? `::error title=Import escalated::${msg}` : `🚨 ${msg}`);
+        }
+      }
+    },
+
+    // Entries written before titles were left out lose them here, and their
+    // messages are sanitised.
+    save() {
+      const stored = Object.fromEntries(Object.entries(entries).map(([key, { title, message, ...entry }]) =>
+        [key, { ...entry, message: safeErrorMessage(message) }]));
+      writeFileSync(DEAD_LETTER_FILE, JSON.stringify(stored, null, 2) + "\n");
+    },
+  };
+}
+
+// Picks the dead-lettered rows of one sheet out of its records.
+function deadLetterRows(records, entries, section) {
+  const sids = new Set(entries.filter(e => e.submissionId).map(e => e.submissionId));
+  const rows = new Set(entries.filter(e => !e.submissionId).map(e => e.row));
+  return records.filter(r => {
+    const sid = cell(r, section.submissionId);
+    return sid ? sids.has(sid) : rows.has(r._row);
+  });
+}
+
+// Rows to process for one sheet: escalated rows are left for --replay-dead-letters,
+// other dead letters are added back, re-reading the sheet in full if incremental
+// sync did not fetch them.
+async function withDeadLetters(read, deadLetters, kind, source, section, sectionName) {
+  const rows = read.rows.filter(r => !deadLetters.isEscalated(kind, r, section));
+  const pending = deadLetters.retryable(kind);
+  if (!pending.length) return rows;
+
+  const all = read.full ? read.records : sheetRecords(await source.read(), section, sectionName);
+  const have = new Set(rows.map(r => r._row));
+  const retries = deadLetterRows(all, pending, section).filter(r => !have.has(r._row));
+  if (retries.length) console.log(`📬 Retrying ${retries.length} dead-lettered ${sectionName.toLowerCase()} row(s)`);
+  return [...retries, ...rows];
+}
+
+// Titles of the dead-lettered rows by deadLetterKey, read from the sheets.
+async function deadLetterTitles(entries) {
+  const sources = sheetSources();
+  const titles = new Map();
+  for (const [kind, section, sectionName, titleHeader] of [
+    ["incoming",  MAPPING.incoming,   "Incoming",   MAPPING.incoming.title],
+    ["reference", MAPPING.references, "References", MAPPING.references.startupName],
+  ]) {
+    const pending = entries.filter(e => e.kind === kind);
+    if (!pending.length) continue;
+    const records = sheetRecords(await sources[kind].read(), section, sectionName);
+    for (const r of deadLetterRows(records, pending, section)) {
+      titles.set(deadLetterKey(kind, cell(r, section.submissionId), r._row), cell(r, titleHeader));
+    }
+  }
+  return titles;
+}
+
+async function printDeadLetters(deadLetters) {
+  const entries = deadLetters.list();
+  if (!entries.length) {
+    console.log("📭 Dead-letter queue is empty");
+    return;
+  }
+  const titles = await deadLetterTitles(entries);
+  console.log(`📬 ${entries.length} dead letter(s) — full error messages are in the run report of the last failed attempt:`);
+  for (const e of entries) {
+    const key = deadLetterKey(e.kind, e.submissionId, e.row);
+    const title = titles.has(key) ? `"${titles.get(key)}"` : "(no longer in the sheet)";
+    console.log(
+      `  ${e.escalated ? "🚨" : "•"} ${key} ${title} — ` +
+      `${e.attempts} attempt(s), last ${e.lastFailedAt}\n      ${e.errorClass}: ${e.message || "(no message)"}`
+    );
+  }
+}
+
+// ===================== SECTION: Run Report =====================
+// Every run writes a JSON report (RUN_REPORT_FILE, default run-report.json) with
+// outcome counts, per-row outcomes, retries and duration, and mirrors it into the
+// GitHub Actions job summary. When the share of failed rows exceeds
+// FAILURE_THRESHOLD (default 0.1) the process exits non-zero so the workflow
+// run turns red.
+const RUN_REPORT_FILE   = process.env.RUN_REPORT_FILE || new URL("./run-report.json", import.meta.url);
+const DEFAULT_FAILURE_THRESHOLD = 0.1;
+const FAILURE_THRESHOLD = failureThreshold(process.env.FAILURE_THRESHOLD);
+
+// A fraction from 0 to 1. Anything else (a typo, "10%") falls back to the default
+// with a warning rather than becoming NaN, which would never fail a run.
+function failureThreshold(raw) {
+  if (raw === undefined || raw.trim() === "") return DEFAULT_FAILURE_THRESHOLD;
+  const value = Number(raw);
+  if (Number.isFinite(value) && value >= 0 && value <= 1) return value;
+  console.warn(`⚠️  FAILURE_THRESHOLD "${raw}" is not a fraction between 0 and 1 — using ${DEFAULT_FAILURE_THRESHOLD}`);
+  return DEFAULT_FAILURE_THRESHOLD;
+}
+
+const OUTCOMES = [
+  "created", "updated", "skipped-duplicate", "skipped-unknown-entity", "skipped-empty-name", "skipped-suppressed",
+  "reference-matched", "reference-standalone", "reference-review", "reference-merged", "failed",
+];
+
+function buildRunReport(results, { startedAt, mode }) {
+  const counts = Object.fromEntries(OUTCOMES.map(o => [o, 0]));
+  for (const r of results) counts[r.outcome] = (counts[r.outcome] || 0) + 1;
+  // Skipped rows (mostly already-imported duplicates on a full sync) would dilute
+  // the ratio, so only rows that tried to import or match count.
+  const attempted = results.filter(r => !r.outcome.startsWith("skipped-")).length;
+  const failureRatio = attempted ? counts.failed / attempted : 0;
+  const finishedAt = new Date();
+
+  return {
+    mode, dryRun: DRY_RUN,
+    startedAt: startedAt.toISOString(), finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    total: results.length, attempted, counts,
+    retries: { ...retryStats, byCode: { ...retryStats.byCode } },
+    failureRatio, failureThreshold: FAILURE_THRESHOLD,
+    thresholdExceeded: failureRatio > FAILURE_THRESHOLD,
+    // `page` holds the raw Notion response and is left out of the report.
+    rows: results.map(({ page, ...r }) => ({ ...r, pageId: page?.id || null })),
+  };
+}
+
+const mdCell = (v) => String(v ?? "").replace(/\|/g, "\\|").replace(/\n/g, " ");
+
+function stepSummary(report) {
+  const secs = (report.durationMs / 1000).toFixed(1);
+  const lines = [
+    `## Moonstone Importer — ${report.mode}${report.dryRun ? " (dry run)" : ""}`,
+    "",
+    `${report.total} row(s) in ${secs}s · ${report.retries.total} retried request(s) · ` +
+    `failure ratio ${(report.failureRatio * 100).toFixed(1)}% (threshold ${(report.failureThreshold * 100).toFixed(1)}%)`,
+    "",
+    "| Outcome | Rows |",
+    "|---|---:|",
+    ...OUTCOMES.map(o => `| ${o} | ${report.counts[o] || 0} |`),
+  ];
+  const failed = report.rows.filter(r => r.outcome === "failed");
+  if (failed.length) {
+    lines.push("", "### Failed rows", "", "| Kind | Submission ID | Name | Error |", "|---|---|---|---|");
+    for (const r of failed) {
+      lines.push(`| ${r.kind} | ${mdCell(r.submissionId)} | ${mdCell(r.title)} | ${mdCell(`${r.errorClass}: ${r.error}`)} |`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Writes the report files and sets the exit code; returns the report.
+function finishRun(results, meta) {
+  const report = buildRunReport(results, meta);
+  writeFileSync(RUN_REPORT_FILE, JSON.stringify(report, null, 2) + "\n");
+  if (process.env.GITHUB_STEP_SUMMARY) appendFileSync(process.env.GITHUB_STEP_SUMMARY, stepSummary(report));
+
+  const summary = OUTCOMES.filter(o => report.counts[o]).map(o => `${o}: ${report.counts[o]}`).join(", ");
+  console.log(`📊 ${report.total} row(s) — ${summary || "nothing to do"} — ${report.retries.total} retries, ${(report.durationMs / 1000).toFixed(1)}s`);
+  if (report.thresholdExceeded) {
+    console.error(`❌ ${report.counts.failed}/${report.total} rows failed — above FAILURE_THRESHOLD ${report.failureThreshold}`);
+    process.exitCode = 1;
+  }
+  return report;
+}
+
+// ===================== SECTION: Dry-Run Plan =====================
+const referrerNote = (r) => (r.referrer ? ` — ${r.referrer} referrer` : "");
+
+function printDryRunPlan(results) {
+  const by = (kind, outcome) => results.filter(r => r.kind === kind && r.outcome === outcome);
+  const id = (r) => r.submissionId || "no submission ID";
+  const groups = [
+    ["Would create page",                 by("incoming", "created"),
+      r => `${r.title} (${id(r)}) → ${r.statusProp}: ${r.status}` +
+           (r.rules.length ? ` — rules: ${r.rules.join(", ")}` : "") +
+           (r.mergedReferences.length ? ` — merging ${r.mergedReferences.map(m => `"${m.title}"`).join(", ")}` : "") +
+           (r.possibleDuplicates.length ? ` — possible duplicate of ${r.possibleDuplicates.map(c => `"${c.title}" ${c.score}`).join("; ")}` : "")],
+    ["Would update edited submission",    by("incoming", "updated"),
+      r => `${r.title} (${id(r)}): ${r.changed.join(", ") || "fingerprint only"}` +
+           (r.handEdited.length ? ` — keeping hand-edited ${r.handEdited.join(", ")}` : "")],
+    ["Would skip, already imported",      by("incoming", "skipped-duplicate"),
+      r => `${id(r)}${r.adopted ? " (fingerprint recorded)" : ""}`],
+    ["Would skip, unknown entity",        by("incoming", "skipped-unknown-entity"),
+      r => `${id(r)}: "${r.entity}"`],
+    ["Would skip, empty organisation",    by("incoming", "skipped-empty-name"), id],
+    ["Would attach reference",            by("reference", "reference-matched"),
+      r => `"${r.startupName}" (${id(r)}) → "${r.matchedTitle}" score ${r.score}: ${describeSignals(r.signals)}` + referrerNote(r)],
+    ["Would queue reference for review",  by("reference", "reference-review"),
+      r => `"${r.startupName}" (${id(r)}) → ${r.title}, candidates: ` +
+           r.candidates.map(c => `"${c.title}" ${c.score}`).join("; ")],
+    ["Would create [REFERENCE] page",     by("reference", "reference-standalone").filter(r => !r.existing),
+      r => `${r.title} (${id(r)})` + referrerNote(r)],
+    ["Would add to [REFERENCE] page",     by("reference", "reference-standalone").filter(r => r.existing),
+      r => `${r.title} (${id(r)})` + referrerNote(r)],
+    ["Would skip reference, already imported", by("reference", "skipped-duplicate"), id],
+    ["Would merge [REFERENCE] page",      by("reference", "reference-merged"),
+      r => `${r.title} → "${r.matchedTitle}" score ${r.score}: ${describeSignals(r.signals)}`],
+    ["Would skip, email erased on request", results.filter(r => r.outcome === "skipped-suppressed"),
+      r => `${r.kind} ${id(r)}`],
+    ["Would fail",                        results.filter(r => r.outcome === "failed"),
+      r => `${r.title || ""} (${id(r)}): ${r.errorClass}: ${r.error}`],
+  ];
+
+  console.log("\n📝 Dry-run plan — nothing was written to Notion");
+  for (const [heading, rows, describe] of groups) {
+    if (!rows.length) continue;
+    console.log(`\n${heading} (${rows.length}):`);
+    for (const r of rows) console.log(`  • ${describe(r)}`);
+  }
+}
+
+// ===================== SECTION: Webhook Server =====================
+// `node index.js --serve` ingests single form submissions in real time, e.g. pushed
+// by a Google Apps Script onFormSubmit trigger. The scheduled run stays the
+// reconciliation pass; both rely on Submission ID for idempotency.
+//
+// Requests are signed: X-Moonstone-Timestamp is the unix time in seconds and
+// X-Moonstone-Signature is "sha256=" + hex HMAC-SHA256 of `${timestamp}.${rawBody}`
+// keyed with WEBHOOK_SECRET. Body: { "namedValues": { "<header>": ["<value>"] } }
+// as delivered by Apps Script, or { "values": { "<header>": "<value>" } }.
+const SERVE = hasFlag("--serve");
+const SIGNATURE_MAX_AGE_S = 300;
+
+function verifySignature(req) {
+  const secret    = process.env.WEBHOOK_SECRET;
+  const timestamp = req.get("X-Moonstone-Timestamp") || "";
+  const signature = req.get("X-Moonstone-Signature") || "";
+  if (!secret || !req.rawBody || !/^\d+$/.test(timestamp)) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_MAX_AGE_S) return false;
+
+  const expected = "sha256=" + createHmac("sha256", secret)
+    .update(`${timestamp}.`).update(req.rawBody).digest("hex");
+  const a = Buffer.from(signature), b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Builds a record keyed by mapping header text from a webhook payload.
+function payloadRecord(body, section) {
+  const named = body?.namedValues
+    ? Object.fromEntries(Object.entries(body.namedValues).map(([k, v]) => [k, Array.isArray(v) ? v.join(", ") : v]))
+    : body?.values || {};
+  const byHeader = new Map(Object.entries(named).map(([k, v]) => [normHeader(k), v]));
+  const record = { _row: null };
+  for (const header of mappedHeaders(section)) record[header] = String(byHeader.get(normHeader(header)) ?? "");
+  return record;
+}
+
+function createIngestQueue() {
+  let tail = Promise.resolve();
+
+  // Each submission resolves existing pages with filtered queries, so pages
+  // created by the scheduled run in the meantime are always seen.
+  const run = (kind, record) => kind === "incoming"
+    ? processIncomingRow(record, createPageIndex())
+    : processReferenceRow(record, createPageIndex());
+
+  // Submissions are processed one at a time so concurrent deliveries of the same
+  // Submission ID cannot both create a page.
+  return (kind, record) => {
+    const job = tail.then(() => run(kind, record));
+    tail = job.catch(() => {});
+    return job;
+  };
+}
+
+async function startServer() {
+  if (!process.env.WEBHOOK_SECRET) throw new Error("WEBHOOK_SECRET is required for --serve");
+  suppressionList();
+
+  const drift = diffDatabaseSchemas(await retrieveDatabases());
+  if (drift.length) throw new Error(`Schema drift detected — refusing to start:\n${drift.join("\n")}`);
+
+  const enqueue = createIngestQueue();
+  const started = new Date();
+  let lastSubmission = null;
+
+  const app = express();
+  app.use(express.json({ limit: "1mb", verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+  app.get("/health", (req, res) => {
+    res.json({ status: "ok", dryRun: DRY_RUN, startedAt: started.toISOString(), lastSubmission });
+  });
+
+  app.post("/submissions/:kind", async (req, res) => {
+    const { kind } = req.params;
+    if (kind !== "incoming" && kind !== "reference") return res.status(404).json({ error: "unknown submission kind" });
+    if (!verifySignature(req)) return res.status(401).json({ error: "invalid signature" });
+
+    const section = kind === "incoming" ? MAPPING.incoming : MAPPING.references;
+    const record  = payloadRecord(req.body, section);
+    const submissionId = cell(record, section.submissionId);
+    if (!submissionId) return res.status(400).json({ error: `missing "${section.submissionId}"` });
+
+    try {
+      const { page, ...result } = await enqueue(kind, record);
+      lastSubmission = { kind, submissionId, outcome: result.outcome, at: new Date().toISOString() };
+      res.json({ ...result, pageId: page?.id || null });
+    } catch (err) {
+      console.error(`⚠️  Error processing ${kind} submission ${submissionId}: `, err?.message || err);
+      res.status(500).json({ error: err?.message || String(err) });
+    }
+  });
+
+  const port = Number(process.env.PORT) || 3000;
+  app.listen(port, () => console.log(`📡 Webhook server listening on :${port}${DRY_RUN ? " (dry run)" : ""}`));
+}
+
+// ===================== SECTION: Main =====================
+async function loadSheets(sources, cursors = {}) {
+  const [incoming, refs, databases] = await Promise.all([
+    sources.incoming.read(cursors.incoming?.lastRow),
+    sources.reference.read(cursors.references?.lastRow),
+    retrieveDatabases(),
+  ]);
+  checkSchemaDrift({ incomingHeaders: incoming.headers, refHeaders: refs.headers, databases });
+  return { incoming, refs };
+}
+
+async function processRow(kind, row, pages) {
+  const section = kind === "incoming" ? MAPPING.incoming : MAPPING.references;
+  const name    = cell(row, kind === "incoming" ? section.title : section.startupName);
+  try {
+    const result = kind === "incoming"
+      ? await processIncomingRow(row, pages)
+      : await processReferenceRow(row, pages);
+    return { kind, row: row._row, ...result };
+  } catch (err) {
+    console.error(`⚠️  Error processing ${kind} row (${kind === "incoming" ? "org" : "startup"}: "${name}"): `, err?.message || err);
+    return {
+      kind, row: row._row, outcome: "failed", submissionId: cell(row, section.submissionId),
+      title: name, errorClass: errorClass(err), error: err?.message || String(err),
+    };
+  }
+}
+
+// Incoming rows go first so references can match pages created in this run.
+async function processRows(incomingRows, refRows, pages) {
+  return [
+    ...await mapConcurrent(incomingRows, IMPORT_CONCURRENCY, (row) => processRow("incoming", row, pages)),
+    ...await mapConcurrent(refRows,      IMPORT_CONCURRENCY, (row) => processRow("reference", row, pages)),
+  ];
+}
+
+async function main() {
+  const startedAt = new Date();
+  console.log(`🚀 Moonstone Importer started${DRY_RUN ? " (dry run — no Notion writes)" : ""}`);
+  suppressionList(); // a missing or wrong SUPPRESSION_KEY fails here, before any row
+
+  const state = loadSyncState();
+  const deadLetters = loadDeadLetters();
+  const fullReason = needsFullSync(state);
+  const cursors = fullReason ? {} : state;
+  console.log(fullReason ? `🔄 Full sync (${fullReason})` : "🔄 Incremental sync");
+
+  const sources = sheetSources();
+  const { incoming, refs } = await loadSheets(sources, cursors);
+  const incomingRead = await readSheetRows(sources.incoming,  incoming, MAPPING.incoming,   "Incoming",   cursors.incoming);
+  const refRead      = await readSheetRows(sources.reference, refs,     MAPPING.references, "References", cursors.references);
+
+  const incomingRows = await withDeadLetters(incomingRead, deadLetters, "incoming",  sources.incoming,  MAPPING.incoming,   "Incoming");
+  const refRows      = await withDeadLetters(refRead,      deadLetters, "reference", sources.reference, MAPPING.references, "References");
+  console.log(`📄 Incoming rows: ${incomingRows.length} | Reference rows: ${refRows.length}`);
+
+  let pages;
+  if (fullReason) {
+    const existingPages = await fetchAllPages();
+    console.log(`📚 Existing Notion pages loaded: ${existingPages.length}`);
+    pages = createPageIndex(existingPages);
+  } else {
+    pages = createPageIndex();
+  }
+
+  const results = await processRows(incomingRows, refRows, pages);
+  await writeBackResults(results, {
+    incoming:  { spreadsheetId: sources.incoming.spreadsheetId,  sheet: incomingRead.sheet },
+    reference: { spreadsheetId: sources.reference.spreadsheetId, sheet: refRead.sheet },
+  });
+  const report = finishRun(results, { startedAt, mode: fullReason ? "full sync" : "incremental sync" });
+
+  if (DRY_RUN) {
+    printDryRunPlan(results);
+    return report;
+  }
+
+  deadLetters.record(results);
+  deadLetters.save();
+  saveSyncState({
+    incoming:     cursorFor(incomingRead.records, MAPPING.incoming,   state.incoming),
+    references:   cursorFor(refRead.records,      MAPPING.references, state.references),
+    lastFullSync: fullReason ? new Date().toISOString() : state.lastFullSync,
+    lastRunAt:    new Date().toISOString(),
+  });
+
+  console.log("🎉 Import complete.");
+  return report;
+}
+
+// Retries dead letters on demand — all of them, or only the given Submission IDs
+// (or "row <n>" keys) — including escalated ones.
+async function replayDeadLetters(ids) {
+  const startedAt = new Date();
+  suppressionList();
+  const deadLetters = loadDeadLetters();
+  const selected = deadLetters.list().filter(e => !ids.length || ids.includes(e.submissionId) || ids.includes(`row ${e.row}`));
+  if (!selected.length) {
+    console.log("📭 No matching dead letters to replay");
+    return;
+  }
+  console.log(`📬 Replaying ${selected.length} dead letter(s)${DRY_RUN ? " (dry run)" : ""}`);
+
+  const sources = sheetSources();
+  const { incoming, refs } = await loadSheets(sources);
+  const incomingRows = deadLetterRows(sheetRecords(incoming, MAPPING.incoming, "Incoming"),
+    selected.filter(e => e.kind === "incoming"), MAPPING.incoming);
+  const refRows = deadLetterRows(sheetRecords(refs, MAPPING.references, "References"),
+    selected.filter(e => e.kind === "reference"), MAPPING.references);
+  if (incomingRows.length + refRows.length < selected.length) {
+    console.warn("⚠️  Some dead-lettered rows are no longer in the sheets and were not replayed");
+  }
+
+  const results = await processRows(incomingRows, refRows, createPageIndex());
+  await writeBackResults(results, {
+    incoming:  { spreadsheetId: sources.incoming.spreadsheetId,  sheet: incoming },
+    reference: { spreadsheetId: sources.reference.spreadsheetId, sheet: refs },
+  });
+  finishRun(results, { startedAt, mode: "dead-letter replay" });
+  if (DRY_RUN) {
+    printDryRunPlan(results);
+    return;
+  }
+  deadLetters.record(results);
+  deadLetters.save();
+  await printDeadLetters(deadLetters);
+}
+
+// One-off import of a local export through the same mapping, dedupe and Notion
+// writes as the scheduled run. There is no sync state, dead-letter queue or
+// write-back: failed rows are listed in the run report, and importing the file
+// again is safe because every row has a Submission ID (see submissionsOf).
+async function importFile(path, { as = "incoming", format = null, entity = null } = {}) {
+  if (!path) throw new Error("Usage: --import-file <path> [--as incoming|references] [--format csv|xlsx|typeform|tally] [--entity <entity>]");
+  const startedAt = new Date();
+  suppressionList();
+  const kind = as === "references" ? "reference" : "incoming";
+  const [section, sectionName] = kind === "incoming" ? [MAPPING.incoming, "Incoming"] : [MAPPING.references, "References"];
+  const source = fileSource(path, format);
+  console.log(`📥 Importing ${sectionName.toLowerCase()} submissions from ${source.name}${DRY_RUN ? " (dry run — no Notion writes)" : ""}`);
+
+  const [table, databases] = await Promise.all([source.read(), retrieveDatabases()]);
+  checkSchemaDrift({ databases });
+  const { lines, notes } = diffSheetHeaders(table.headers, section, sectionName);
+  if (lines.length) console.log(`ℹ️  ${lines.length} mapped column(s) not in the file; their properties stay empty`);
+  if (notes.length) console.log(`ℹ️  ${notes.length} column(s) in the file are not mapped:\n${notes.join("\n")}`);
+
+  const submissions = submissionsOf(table, section, sectionName, { idPrefix: source.format, entity });
+  console.log(`📄 ${submissions.length} submission(s)`);
+  const rows = submissions.map(submissionRecord);
+  const results = await processRows(kind === "incoming" ? rows : [], kind === "reference" ? rows : [], createPageIndex());
+  const report = finishRun(results, { startedAt, mode: `file import (${source.name})` });
+  if (DRY_RUN) printDryRunPlan(results);
+  else console.log("🎉 Import complete.");
+  return report;
+}
+
+function run() {
+  if (hasFlag("--dead-letters"))         return printDeadLetters(loadDeadLetters());
+  if (hasFlag("--replay-dead-letters"))  return replayDeadLetters(flagValues("--replay-dead-letters"));
+  if (hasFlag("--reconcile-references")) return reconcileReferences();
+  if (hasFlag("--test-rules"))           return Promise.resolve(testRules(flagValues("--test-rules")[0]));
+  if (hasFlag("--erase"))                return eraseEmails(flagValues("--erase"));
+  if (hasFlag("--import-file")) {
+    return importFile(flagValues("--import-file")[0], {
+      as: flagValues("--as")[0], format: flagValues("--format")[0], entity: flagValues("--entity").join(" ") || null,
+    });
+  }
+  if (SERVE)                             return startServer();
+  return main();
+}
+
+export {
+  useClients, run, main, replayDeadLetters, reconcileReferences, eraseEmails, importFile,
+  processIncomingRow, processReferenceRow, dedupeToggles, createPageIndex, fetchAllPages,
+  sheetSource, fileSource, submissionsOf, parseAmount, amountInKEur, percentValue, failureThreshold, safeErrorMessage,
+  expectedSchema, DATABASE_IDS, REFERRERS_DATABASE_ID, MAPPING,
+};
+
+if (IS_ENTRY_POINT) {
+  run().catch(err => {
+    console.error("❌ Fatal:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,9 @@
+// Offline end-to-end tests (npm test): the fixture sheets in test/fixtures are
+// replayed through the importer against the in-memory Sheets and Notion fakes in
+// test/fakes, so no credentials or network are needed.
+import { readdirSync } from "node:fs";
+
+const dir = new URL("./test/", import.meta.url);
+for (const file of readdirSync(dir).filter(f => f.endsWith(".test.js")).sort()) {
+  await import(new URL(file, dir));
+}
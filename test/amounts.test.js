@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers.js";
+import { amountInKEur, percentValue, parseAmount } from "../index.js";
+
+test("amountInKEur reads free-text amounts", () => {
+  const cases = [
+    // answer,              unit,   kEUR
+    ["€1.5M",               "EUR",  1500],
+    ["1,200",               "EUR",  1.2],
+    ["1.200.000 €",         "EUR",  1200],
+    ["1,234,567.89",        "EUR",  1234.568],
+    ["1.234,5 Tsd. EUR",    "EUR",  1234.5],
+    ["2–3 Mio. EUR",        "EUR",  2500],
+    ["ca. 500k $",          "EUR",  460],
+    ["1,5 Mio",             "EUR",  1500],
+    ["1.25M",               "EUR",  1250],
+    // A k/M/B suffix after a three-digit group is ambiguous: left unparsed.
+    ["1.250M",              "EUR",  null],
+    ["5.000k",              "EUR",  null],
+    ["1.500k",              "EUR",  null],
+    ["1.5k",                "EUR",  1.5],
+    ["1 500 000",           "EUR",  1500],
+    ["1 500 000 €",         "EUR",  1500],
+    ["2 500",               "kEUR", 2500],
+    ["1.500",               "kEUR", 1500],
+    ["1500",                "kEUR", 1500],
+    ["2M",                  "kEUR", 2000],
+    ["between 1 and 2 mio", "EUR",  1500],
+    ["500k in 2022",        "EUR",  null],
+    ["1M EUR or $1M",       "EUR",  null],
+    ["a lot",               "EUR",  null],
+  ];
+  for (const [answer, unit, expected] of cases) {
+    assert.equal(amountInKEur(answer, unit), expected, `${answer} (${unit})`);
+  }
+});
+
+test("percentValue reads percentages and rejects amounts", () => {
+  const cases = [["20 %", 20], ["20", 20], ["5-8%", 6.5], ["12,5 Prozent", 12.5], ["€20", null], ["2M", null]];
+  for (const [answer, expected] of cases) assert.equal(percentValue(answer), expected, answer);
+});
+
+test("parseAmount keeps range bounds", () => {
+  assert.deepEqual(parseAmount("2-3M"), { value: 2.5e6, min: 2e6, max: 3e6, currency: null, percent: false, scaled: true });
+  assert.equal(parseAmount("n/a"), null);
+});
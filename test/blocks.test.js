@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorld, textOf } from "./helpers.js";
+import { dedupeToggles, fetchAllPages } from "../index.js";
+
+const toggle = (title) => ({ object: "block", type: "toggle", toggle: { rich_text: [{ type: "text", text: { content: title } }] } });
+
+test("dedupeToggles keeps the first toggle of each title", async () => {
+  const { notion } = createWorld();
+  const page = await notion.client.pages.create({
+    parent: { database_id: "db-startups" },
+    properties: { Name: { title: [{ text: { content: "Dupes" } }] } },
+  });
+  await notion.client.blocks.children.append({
+    block_id: page.id,
+    children: [toggle("Form"), toggle("Referral Insight"), toggle("Form"), toggle("Form")],
+  });
+
+  await dedupeToggles(page.id, ["Form", "Referral Insight"]);
+  assert.deepEqual(notion.children(page.id).map(textOf), ["Form", "Referral Insight"]);
+});
+
+test("fetchAllPages follows query pagination", async () => {
+  const { notion } = createWorld();
+  for (let i = 0; i < 230; i++) {
+    await notion.client.pages.create({
+      parent: { database_id: "db-startups" },
+      properties: { Name: { title: [{ text: { content: `Startup ${i}` } }] } },
+    });
+  }
+  const pages = await fetchAllPages();
+  assert.equal(pages.length, 230);
+  assert.equal(notion.count("databases.query"), 3);
+});
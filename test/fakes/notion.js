@@ -0,0 +1,313 @@
+// In-memory stand-in for the parts of @notionhq/client the importer uses:
+// databases.query (filters + pagination) / retrieve, pages.create / update /
+// retrieve, blocks.children.append / list plus blocks.update (archiving) and
+// users.me. Blocks record the integration's bot user as `created_by`; see asUser
+// for blocks added by hand.
+// Writes are validated like the real API — unknown properties, wrong types,
+// text items over 2000 characters, more than 100 children, more than 1000 blocks
+// in all or nesting deeper than two levels per append all fail with a
+// validation_error.
+
+const TEXT_LIMIT = 2000;
+const ITEM_LIMIT = 100;
+const CHILD_LIMIT = 100;
+const BOT_USER_ID = "bot-importer";
+const REQUEST_LIMIT = 1000;
+
+class FakeNotionError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "APIResponseError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const invalid = (message) => new FakeNotionError(400, "validation_error", message);
+const notFound = (id) => new FakeNotionError(404, "object_not_found", `Could not find object with ID: ${id}.`);
+
+const clone = (v) => (v === undefined ? v : structuredClone(v));
+
+const DEFAULT_ANNOTATIONS = {
+  bold: false, italic: false, strikethrough: false, underline: false, code: false, color: "default",
+};
+
+function readRichText(items, where) {
+  if (!Array.isArray(items)) throw invalid(`${where} should be an array.`);
+  if (items.length > ITEM_LIMIT) throw invalid(`${where}.length should be ≤ ${ITEM_LIMIT}, instead was ${items.length}.`);
+  return items.map((item) => {
+    if (item.type === "mention") {
+      return { type: "mention", mention: clone(item.mention), annotations: { ...DEFAULT_ANNOTATIONS }, plain_text: "", href: null };
+    }
+    const content = item.text?.content ?? "";
+    if (content.length > TEXT_LIMIT) {
+      throw invalid(`${where}.text.content.length should be ≤ ${TEXT_LIMIT}, instead was ${content.length}.`);
+    }
+    const link = item.text?.link || null;
+    return {
+      type: "text",
+      text: { content, link },
+      annotations: { ...DEFAULT_ANNOTATIONS, ...item.annotations },
+      plain_text: content,
+      href: link?.url || null,
+    };
+  });
+}
+
+// Blocks in an append request, nested children included.
+const blockCount = (list) => (list || []).reduce((sum, b) => sum + 1 + blockCount(b[b.type]?.children), 0);
+
+const optionName = (name, where) => {
+  if (String(name).includes(",")) throw invalid(`${where} option name cannot contain commas.`);
+  return { id: `opt-${name}`, name, color: "default" };
+};
+
+// Converts one property value from a write request to the shape Notion returns.
+const PROPERTY_READERS = {
+  title:        (v, where) => readRichText(v, where),
+  rich_text:    (v, where) => readRichText(v, where),
+  email:        (v) => v ?? null,
+  url:          (v) => v ?? null,
+  number:       (v, where) => {
+    if (v !== null && typeof v !== "number") throw invalid(`${where} should be a number.`);
+    return v;
+  },
+  checkbox:     (v) => !!v,
+  select:       (v, where) => (v ? optionName(v.name, where) : null),
+  multi_select: (v, where) => (v || []).map(o => optionName(o.name, where)),
+  date:         (v, where) => {
+    if (v && Number.isNaN(Date.parse(v.start))) throw invalid(`${where}.start should be a valid ISO 8601 date string.`);
+    return v ? { start: v.start, end: v.end ?? null, time_zone: v.time_zone ?? null } : null;
+  },
+  files:        (v) => clone(v || []),
+  relation:     (v) => (v || []).map(r => ({ id: r.id })),
+  people:       (v) => (v || []).map(p => ({ object: "user", id: p.id })),
+};
+
+export function createFakeNotion({ databases = {} } = {}) {
+  let seq = 0;
+  const newId = () => `00000000-0000-4000-8000-${String(++seq).padStart(12, "0")}`;
+  let author = BOT_USER_ID;
+  const now = () => new Date().toISOString();
+
+  const dbs = new Map();      // database id → { id, title, properties }
+  const pages = new Map();    // page id → page
+  const blocks = new Map();   // block id → block
+  const children = new Map(); // page or block id → child block ids, in order
+  const calls = [];
+
+  for (const [id, { title = id, properties = {} }] of Object.entries(databases)) {
+    dbs.set(id, {
+      object: "database", id,
+      title: readRichText([{ text: { content: title } }], "title"),
+      properties: Object.fromEntries(Object.entries(properties).map(([name, prop]) =>
+        [name, { id: name, name, type: prop.type, [prop.type]: clone(prop[prop.type] || {}) }])),
+    });
+  }
+
+  const record = (method, args) => calls.push({ method, args: clone(args) });
+
+  function readProperties(database, properties = {}) {
+    const out = {};
+    for (const [name, value] of Object.entries(properties)) {
+      const schema = database.properties[name];
+      if (!schema) throw invalid(`${name} is not a property that exists.`);
+      if (!(schema.type in value)) {
+        throw invalid(`${name} is expected to be ${schema.type}.`);
+      }
+      out[name] = { id: schema.id, type: schema.type, [schema.type]: PROPERTY_READERS[schema.type](value[schema.type], `body.properties.${name}.${schema.type}`) };
+    }
+    return out;
+  }
+
+  // Every property of the database, empty unless set, as Notion returns them.
+  function emptyProperties(database) {
+    const empty = { title: [], rich_text: [], multi_select: [], files: [], relation: [], people: [], checkbox: false };
+    return Object.fromEntries(Object.values(database.properties).map(p =>
+      [p.name, { id: p.id, type: p.type, [p.type]: clone(empty[p.type] ?? null) }]));
+  }
+
+  const pageOf = (id) => {
+    const page = pages.get(id);
+    if (!page) throw notFound(id);
+    return page;
+  };
+
+  const isLive = (id) => (pages.has(id) ? !pages.get(id).archived : blocks.has(id) && !blocks.get(id).archived);
+
+  function paginate(items, { start_cursor, page_size = 100 } = {}) {
+    const size = Math.min(100, page_size);
+    const start = start_cursor ? Number(start_cursor) : 0;
+    const end = start + size;
+    return {
+      object: "list",
+      results: items.slice(start, end).map(clone),
+      has_more: end < items.length,
+      next_cursor: end < items.length ? String(end) : null,
+    };
+  }
+
+  // Matching rules of the database query filter, for the property types used.
+  function matches(page, filter) {
+    if (!filter) return true;
+    if (filter.or)  return filter.or.some(f => matches(page, f));
+    if (filter.and) return filter.and.every(f => matches(page, f));
+    const prop = page.properties[filter.property];
+    if (!prop) throw invalid(`Could not find property with name or id: ${filter.property}`);
+    const condition = filter[prop.type];
+    if (!condition) throw invalid(`${filter.property} is a ${prop.type} property.`);
+    const raw = prop[prop.type];
+    const text = ["title", "rich_text"].includes(prop.type)
+      ? raw.map(t => t.plain_text).join("")
+      : prop.type === "select" ? raw?.name ?? "" : raw ?? "";
+    const [op, arg] = Object.entries(condition)[0];
+    const lower = String(text).toLowerCase();
+    switch (op) {
+      case "equals":           return prop.type === "number" ? raw === arg : String(text) === String(arg);
+      case "does_not_equal":   return String(text) !== String(arg);
+      case "contains":         return lower.includes(String(arg).toLowerCase());
+      case "does_not_contain": return !lower.includes(String(arg).toLowerCase());
+      case "starts_with":      return lower.startsWith(String(arg).toLowerCase());
+      case "ends_with":        return lower.endsWith(String(arg).toLowerCase());
+      case "is_empty":         return text === "" || text === null;
+      case "is_not_empty":     return text !== "" && text !== null;
+      default: throw invalid(`Unsupported filter operator in fake: ${op}`);
+    }
+  }
+
+  function createBlocks(parentId, list, depth) {
+    if (list.length > CHILD_LIMIT) throw invalid(`body.children.length should be ≤ ${CHILD_LIMIT}, instead was ${list.length}.`);
+    return list.map((input) => {
+      const { children: nested, ...body } = input[input.type] || {};
+      if (nested?.length && depth >= 2) {
+        throw invalid("body.children should be nested at most two levels deep per request.");
+      }
+      if (input.type === "table" && !nested?.length) throw invalid("Table must have at least one row.");
+      if (body.rich_text) body.rich_text = readRichText(body.rich_text, `body.children.${input.type}.rich_text`);
+      if (body.cells)     body.cells = body.cells.map((c, i) => readRichText(c, `body.children.table_row.cells[${i}]`));
+
+      const block = {
+        object: "block", id: newId(), type: input.type,
+        parent: pages.has(parentId) ? { type: "page_id", page_id: parentId } : { type: "block_id", block_id: parentId },
+        created_time: now(), created_by: { object: "user", id: author }, has_children: false, archived: false, in_trash: false,
+        [input.type]: body,
+      };
+      blocks.set(block.id, block);
+      children.set(parentId, [...(children.get(parentId) || []), block.id]);
+      if (blocks.has(parentId)) blocks.get(parentId).has_children = true;
+      if (nested?.length) createBlocks(block.id, nested, depth + 1);
+      return block;
+    });
+  }
+
+  const client = {
+    databases: {
+      async query({ database_id, filter, start_cursor, page_size }) {
+        record("databases.query", { database_id, filter, start_cursor, page_size });
+        if (!dbs.has(database_id)) throw notFound(database_id);
+        const found = [...pages.values()].filter(p =>
+          !p.archived && p.parent.database_id === database_id && matches(p, filter));
+        return paginate(found, { start_cursor, page_size });
+      },
+      async retrieve({ database_id }) {
+        record("databases.retrieve", { database_id });
+        if (!dbs.has(database_id)) throw notFound(database_id);
+        return clone(dbs.get(database_id));
+      },
+    },
+
+    pages: {
+      async create({ parent, properties }) {
+        record("pages.create", { parent, properties });
+        const database = dbs.get(parent?.database_id);
+        if (!database) throw notFound(parent?.database_id);
+        const id = newId();
+        const page = {
+          object: "page", id,
+          parent: { type: "database_id", database_id: database.id },
+          created_time: now(), last_edited_time: now(), archived: false, in_trash: false,
+          url: `https://www.notion.so/${id.replace(/-/g, "")}`,
+          properties: { ...emptyProperties(database), ...readProperties(database, properties) },
+        };
+        pages.set(id, page);
+        return clone(page);
+      },
+      async update({ page_id, properties, archived }) {
+        record("pages.update", { page_id, properties, archived });
+        const page = pageOf(page_id);
+        if (page.archived && archived !== false) throw invalid("Can't edit block that is archived.");
+        Object.assign(page.properties, readProperties(dbs.get(page.parent.database_id), properties));
+        if (archived !== undefined) page.archived = page.in_trash = !!archived;
+        page.last_edited_time = now();
+        return clone(page);
+      },
+      async retrieve({ page_id }) {
+        record("pages.retrieve", { page_id });
+        return clone(pageOf(page_id));
+      },
+    },
+
+    users: {
+      async me() {
+        record("users.me", {});
+        return { object: "user", id: BOT_USER_ID, type: "bot", bot: {} };
+      },
+    },
+
+    blocks: {
+      children: {
+        async append({ block_id, children: list }) {
+          record("blocks.children.append", { block_id, children: list });
+          if (!isLive(block_id)) throw notFound(block_id);
+          const total = blockCount(list);
+          if (total > REQUEST_LIMIT) throw invalid(`body.children should contain at most ${REQUEST_LIMIT} blocks, instead was ${total}.`);
+          return { object: "list", results: createBlocks(block_id, list || [], 0).map(clone) };
+        },
+        async list({ block_id, start_cursor, page_size }) {
+          record("blocks.children.list", { block_id, start_cursor, page_size });
+          if (!pages.has(block_id) && !blocks.has(block_id)) throw notFound(block_id);
+          const live = (children.get(block_id) || []).map(id => blocks.get(id)).filter(b => !b.archived);
+          return paginate(live, { start_cursor, page_size });
+        },
+      },
+      async update({ block_id, archived, ...rest }) {
+        record("blocks.update", { block_id, archived, ...rest });
+        const block = blocks.get(block_id);
+        if (!block) throw notFound(block_id);
+        if (archived !== undefined) block.archived = block.in_trash = !!archived;
+        const body = rest[block.type];
+        if (body?.rich_text) block[block.type].rich_text = readRichText(body.rich_text, `body.${block.type}.rich_text`);
+        return clone(block);
+      },
+    },
+  };
+
+  // Inspection helpers for tests; not part of the Notion API.
+  const inspect = {
+    calls,
+    pages: ({ archived = false } = {}) => [...pages.values()].filter(p => archived || !p.archived).map(clone),
+    page: (id) => clone(pages.get(id)),
+    children: (id) => (children.get(id) || []).map(cid => blocks.get(cid)).filter(b => !b.archived).map(clone),
+    // Children of the first live toggle titled `title` under `parentId`.
+    toggle(parentId, title) {
+      const toggle = inspect.children(parentId).find(b => b.type === "toggle" && b.toggle.rich_text.map(t => t.plain_text).join("") === title);
+      return toggle ? inspect.children(toggle.id) : null;
+    },
+    count: (method) => calls.filter(c => c.method === method).length,
+    // Runs `fn` with writes attributed to `userId`, like edits made in the Notion UI.
+    async asUser(userId, fn) {
+      const previous = author;
+      author = userId;
+      try { return await fn(); } finally { author = previous; }
+    },
+  };
+
+  return { client, ...inspect };
+}
+
+// Database properties in the shape createFakeNotion expects, from the importer's
+// expectedSchema() of that database.
+export function schemaProperties(expected) {
+  return Object.fromEntries(Object.entries(expected).map(([name, { type, options }]) =>
+    [name, { type, [type]: options ? { options: options.map(o => ({ name: o })) } : {} }]));
+}
@@ -0,0 +1,95 @@
+// In-memory stand-in for the Google Sheets client: spreadsheets.values.batchGet
+// for A1-style ranges and spreadsheets.values.batchUpdate for single cells, with
+// the API's habit of dropping trailing empty cells and rows.
+
+const columnIndex = (letters) => [...letters].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+
+function parseRange(range) {
+  const m = /^([A-Z]+)(\d+)?(?::([A-Z]+)(\d+)?)?$/.exec(range);
+  if (!m) throw new Error(`Unsupported range in fake: ${range}`);
+  const [, c1, r1, c2, r2] = m;
+  return {
+    fromCol: columnIndex(c1), toCol: columnIndex(c2 || c1),
+    fromRow: Number(r1 || 1), toRow: r2 ? Number(r2) : c2 ? Infinity : Number(r1),
+  };
+}
+
+const trimRow = (row) => {
+  const out = [...row];
+  while (out.length && (out[out.length - 1] ?? "") === "") out.pop();
+  return out;
+};
+
+// `sheets` maps a spreadsheet id to { headers, rows }, where each row is an array
+// of cells or an object keyed by header.
+export function createFakeSheets(sheets = {}) {
+  const grids = new Map();
+  for (const [id, { headers = [], rows = [] }] of Object.entries(sheets)) {
+    grids.set(id, [
+      [...headers],
+      ...rows.map(row => (Array.isArray(row) ? [...row] : headers.map(h => row[h] ?? ""))),
+    ]);
+  }
+  const calls = [];
+
+  const gridOf = (spreadsheetId) => {
+    if (!grids.has(spreadsheetId)) {
+      const err = new Error(`Requested entity was not found: ${spreadsheetId}`);
+      err.code = 404;
+      throw err;
+    }
+    return grids.get(spreadsheetId);
+  };
+
+  function read(grid, range) {
+    const { fromCol, toCol, fromRow, toRow } = parseRange(range);
+    const rows = grid.slice(fromRow - 1, Math.min(grid.length, toRow))
+      .map(row => trimRow(row.slice(fromCol, toCol + 1).map(v => (v == null ? "" : String(v)))));
+    while (rows.length && !rows[rows.length - 1].length) rows.pop();
+    return rows.length ? { range, majorDimension: "ROWS", values: rows } : { range, majorDimension: "ROWS" };
+  }
+
+  const client = {
+    spreadsheets: {
+      values: {
+        async batchGet({ spreadsheetId, ranges }) {
+          calls.push({ method: "values.batchGet", spreadsheetId, ranges });
+          const grid = gridOf(spreadsheetId);
+          return { data: { spreadsheetId, valueRanges: ranges.map(r => read(grid, r)) } };
+        },
+        async batchUpdate({ spreadsheetId, requestBody }) {
+          calls.push({ method: "values.batchUpdate", spreadsheetId, requestBody: structuredClone(requestBody) });
+          const grid = gridOf(spreadsheetId);
+          for (const { range, values } of requestBody.data) {
+            const { fromCol, fromRow } = parseRange(range);
+            values.forEach((rowValues, i) => rowValues.forEach((v, j) => {
+              const row = (grid[fromRow - 1 + i] ||= []);
+              row[fromCol + j] = v;
+            }));
+          }
+          return { data: { spreadsheetId, totalUpdatedCells: requestBody.data.length } };
+        },
+      },
+    },
+  };
+
+  return {
+    client,
+    calls,
+    // Appends a row (array or object keyed by header), like a new form response.
+    append(spreadsheetId, row) {
+      const grid = gridOf(spreadsheetId);
+      grid.push(Array.isArray(row) ? [...row] : grid[0].map(h => row[h] ?? ""));
+    },
+    // Sets one cell by 1-based row and header, like someone editing the sheet.
+    set(spreadsheetId, rowNumber, header, value) {
+      const grid = gridOf(spreadsheetId);
+      grid[rowNumber - 1][grid[0].indexOf(header)] = value;
+    },
+    // The sheet as objects keyed by header, one per data row.
+    records(spreadsheetId) {
+      const [headers, ...rows] = gridOf(spreadsheetId);
+      return rows.map(row => Object.fromEntries(headers.map((h, i) => [h, row[i] ?? ""])));
+    },
+  };
+}
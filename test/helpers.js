@@ -0,0 +1,39 @@
+import { STATE_DIR } from "./setup.js";
+import { readFileSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { useClients, expectedSchema, DATABASE_IDS, REFERRERS_DATABASE_ID } from "../index.js";
+import { createFakeNotion, schemaProperties } from "./fakes/notion.js";
+import { createFakeSheets } from "./fakes/sheets.js";
+
+export const INCOMING = process.env.GOOGLE_SHEET_ID_INCOMING;
+export const REFERENCES = process.env.GOOGLE_SHEET_ID_REFS;
+
+export const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), "utf8"));
+
+// Fresh fakes loaded with the fixture sheets (or the given ones) and databases
+// matching the importer's expected schema, minus `dropProperties`. Sync state,
+// dead letters and the suppression list start empty.
+export function createWorld({ incoming = fixture("incoming"), references = fixture("references"), dropProperties = [] } = {}) {
+  forgetSyncState();
+  for (const file of ["dead-letters.json", "suppressed-emails.json", "run-report.json"]) rmSync(join(STATE_DIR, file), { force: true });
+
+  const databases = {};
+  for (const id of [...DATABASE_IDS, REFERRERS_DATABASE_ID]) {
+    const properties = schemaProperties(expectedSchema(id));
+    for (const name of dropProperties) delete properties[name];
+    databases[id] = { title: id, properties };
+  }
+  const notion = createFakeNotion({ databases });
+  const sheets = createFakeSheets({ [INCOMING]: incoming, [REFERENCES]: references });
+  useClients({ notion: notion.client, sheets: sheets.client });
+  return { notion, sheets };
+}
+
+// Makes the next run a full sync.
+export const forgetSyncState = () => rmSync(join(STATE_DIR, "sync-state.json"), { force: true });
+
+export const readState = (file) => JSON.parse(readFileSync(join(STATE_DIR, file), "utf8"));
+
+export const titleOf = (page) => page.properties.Name.title.map(t => t.plain_text).join("");
+export const textOf = (block) => (block[block.type].rich_text || []).map(t => t.plain_text).join("");
+export const pageTitled = (notion, title) => notion.pages().find(p => titleOf(p) === title);
@@ -0,0 +1,242 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWorld, fixture, forgetSyncState, readState, INCOMING, titleOf, textOf, pageTitled } from "./helpers.js";
+import { main, failureThreshold, safeErrorMessage, MAPPING } from "../index.js";
+
+test("imports the fixture sheets into Notion", async () => {
+  const { notion, sheets } = createWorld();
+  const report = await main();
+
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(report.counts).filter(([, n]) => n)),
+    { "created": 3, "skipped-unknown-entity": 1, "skipped-empty-name": 1, "reference-matched": 1, "reference-standalone": 2 },
+  );
+
+  const acme = pageTitled(notion, "Acme Robotics");
+  assert.equal(acme.parent.database_id, "db-startups");
+  assert.equal(acme.properties["Moonstone Status"].select.name, "Form Inbound");
+  assert.equal(acme.properties["Founder Email"].email, "jane@acme-robotics.io");
+  assert.equal(acme.properties["Current raise in kEUR"].number, 1500);
+  assert.equal(acme.properties["ARR in kEUR"].number, 220);
+  assert.equal(acme.properties["Discount rate in %"].number, 20);
+  assert.deepEqual(acme.properties.Sector.multi_select.map(o => o.name), ["Cleantech", "Robotics"]);
+
+  const searchFund = pageTitled(notion, "Isar Search Partners");
+  assert.equal(searchFund.properties["Moonstone Searchfund"].select.name, "Form Inbound");
+  assert.equal(searchFund.properties["Target EV in kEUR"].number, 12500);
+  const sfQuestions = notion.children(notion.children(searchFund.id)[0].id).map(textOf);
+  assert.ok(sfQuestions.includes("Tell us about your deal sourcing approach."));
+  assert.equal(pageTitled(notion, "Loudly").properties["Urban Venture Status"].select.name, "Form Inbound");
+
+  // Write-back: one status per data row.
+  assert.deepEqual(sheets.records(INCOMING).map(r => r["Import Status"]), [
+    "imported", "imported", "imported",
+    'skipped: unknown entity "Moonstone Growth Fund"', "skipped: empty organisation name",
+  ]);
+  assert.equal(sheets.records(INCOMING)[0]["Notion URL"], acme.url);
+});
+
+test("renders answers as Markdown-aware blocks", async () => {
+  const { notion } = createWorld();
+  await main();
+
+  const acme = pageTitled(notion, "Acme Robotics");
+  const form = notion.children(acme.id).find(b => textOf(b) === "Form");
+  const whyNow = notion.toggle(form.id, "Why now?");
+  assert.deepEqual(whyNow.map(b => b.type), ["quote", "bulleted_list_item", "bulleted_list_item", "bulleted_list_item", "quote"]);
+  assert.deepEqual(notion.children(whyNow[2].id).map(textOf), ["running on the edge"]);
+  const link = whyNow[4].quote.rich_text.find(t => t.href);
+  assert.equal(link.href, "https://acme-robotics.io/why-now");
+});
+
+test("re-runs are idempotent", async () => {
+  const { notion } = createWorld();
+  await main();
+  const pagesAfterFirst = notion.pages().length;
+  const blocksAfterFirst = notion.count("blocks.children.append");
+
+  const incremental = await main();
+  assert.equal(incremental.total, 0);
+
+  forgetSyncState();
+  const full = await main();
+  assert.equal(full.counts["skipped-duplicate"], 6);
+  assert.equal(full.counts.created, 0);
+  assert.equal(notion.pages().length, pagesAfterFirst);
+  assert.equal(notion.count("blocks.children.append"), blocksAfterFirst);
+});
+
+test("edited responses update the page but keep hand-edited fields", async () => {
+  const { notion, sheets } = createWorld();
+  await main();
+  const acme = pageTitled(notion, "Acme Robotics");
+  await notion.client.pages.update({ page_id: acme.id, properties: { "Moonstone Status": { select: { name: "Screening" } } } });
+
+  sheets.set(INCOMING, 2, "How much are you currently raising (in kEUR)?", "2M");
+  sheets.set(INCOMING, 2, "Anything else?", "We closed our first pilot.");
+  forgetSyncState();
+  const report = await main();
+
+  const row = report.rows.find(r => r.submissionId === "inc-001");
+  assert.equal(row.outcome, "updated");
+  const updated = notion.page(acme.id);
+  assert.equal(updated.properties["Current raise in kEUR"].number, 2000);
+  assert.equal(updated.properties["Moonstone Status"].select.name, "Screening");
+  const form = notion.children(acme.id).find(b => textOf(b) === "Form");
+  assert.deepEqual(notion.toggle(form.id, "Anything else?").map(textOf), ["We closed our first pilot."]);
+});
+
+test("edited answers keep notes the team added under them", async () => {
+  const { notion, sheets } = createWorld();
+  await main();
+  const acme = pageTitled(notion, "Acme Robotics");
+  const form = notion.children(acme.id).find(b => textOf(b) === "Form");
+  const toggleTitled = (title) => notion.children(form.id).find(b => textOf(b) === title);
+  const note = (text) => ({ object: "block", type: "paragraph", paragraph: { rich_text: [{ text: { content: text } }] } });
+  await notion.asUser("user-deal-team", async () => {
+    await notion.client.blocks.children.append({ block_id: toggleTitled("Anything else?").id, children: [note("Asked about the pilot.")] });
+    await notion.client.blocks.children.append({ block_id: toggleTitled("Why now?").id, children: [note("Strong timing.")] });
+  });
+
+  sheets.set(INCOMING, 2, "Anything else?", "We closed our first pilot.");
+  sheets.set(INCOMING, 2, "Why now?", "");
+  forgetSyncState();
+  await main();
+
+  assert.deepEqual(notion.toggle(form.id, "Anything else?").map(textOf), ["Asked about the pilot.", "We closed our first pilot."]);
+  assert.deepEqual(notion.toggle(form.id, "Why now?").map(textOf), ["Strong timing."]);
+});
+
+test("schema drift aborts before anything is written", async () => {
+  const { notion } = createWorld({ dropProperties: ["Moonstone Status"] });
+  await assert.rejects(main(), /Moonstone Status/);
+  assert.equal(notion.count("pages.create"), 0);
+  assert.equal(notion.count("blocks.children.append"), 0);
+});
+
+test("rows that fail are dead-lettered and retried on the next run", async () => {
+  const { sheets } = createWorld();
+  sheets.set(INCOMING, 3, "Submitted at", "sometime last week");
+  // One failed row out of six is above FAILURE_THRESHOLD, so main() sets the exit
+  // code; put back whatever node:test had set so earlier failures still count.
+  const exitCode = process.exitCode;
+  const first = await main();
+  process.exitCode = exitCode;
+
+  const failed = first.rows.find(r => r.submissionId === "inc-002");
+  assert.equal(failed.outcome, "failed");
+  const entry = readState("dead-letters.json")["incoming:inc-002"];
+  assert.equal(entry.attempts, 1);
+  // The file is committed, so it holds identifiers and a sanitised message only.
+  assert.deepEqual(Object.keys(entry).sort(), [
+    "attempts", "errorClass", "escalated", "firstFailedAt", "kind", "lastFailedAt", "message", "row", "submissionId",
+  ]);
+  assert.equal(entry.message, "Invalid time value");
+
+  sheets.set(INCOMING, 3, "Submitted at", "2026-09-02T14:00:00Z");
+  const second = await main();
+  assert.equal(second.rows.find(r => r.submissionId === "inc-002").outcome, "created");
+  assert.deepEqual(readState("dead-letters.json"), {});
+});
+
+test("long answers are split to fit Notion's limits", async () => {
+  const incoming = fixture("incoming");
+  const bullets = Array.from({ length: 150 }, (_, i) => `- milestone ${i + 1}`).join("\n");
+  incoming.rows[0]["Anything else?"] = `${"All about our team. ".repeat(250)}\n\n${bullets}`;
+  const { notion } = createWorld({ incoming });
+  const report = await main();
+  assert.equal(report.rows.find(r => r.submissionId === "inc-001").outcome, "created");
+
+  const acme = pageTitled(notion, "Acme Robotics");
+  const form = notion.children(acme.id).find(b => textOf(b) === "Form");
+  const answer = notion.toggle(form.id, "Anything else?");
+  assert.equal(answer.length, 151);
+  assert.equal(answer[0].quote.rich_text.length, 3);
+  assert.equal(textOf(answer[0]), "All about our team. ".repeat(250).trim());
+  assert.equal(textOf(answer[150]), "milestone 150");
+});
+
+test("form answers are appended in requests of at most 1000 blocks", async () => {
+  const incoming = fixture("incoming");
+  const questions = MAPPING.incoming.formToggles.slice(0, 12);
+  const bullets = Array.from({ length: 90 }, (_, i) => `- point ${i + 1}`).join("\n");
+  for (const question of questions) incoming.rows[0][question] = bullets;
+  const { notion } = createWorld({ incoming });
+  const report = await main();
+  assert.equal(report.rows.find(r => r.submissionId === "inc-001").outcome, "created");
+
+  const acme = pageTitled(notion, "Acme Robotics");
+  const form = notion.children(acme.id).find(b => textOf(b) === "Form");
+  for (const question of questions) assert.equal(notion.toggle(form.id, question).length, 90);
+});
+
+test("titles over 2000 characters are split like other text", async () => {
+  const incoming = fixture("incoming");
+  const name = "Acme Robotics ".repeat(200).trim();
+  incoming.rows[0]["What is your organisation's name?"] = name;
+  const { notion } = createWorld({ incoming });
+  const report = await main();
+  assert.equal(report.rows.find(r => r.submissionId === "inc-001").outcome, "created");
+  const page = pageTitled(notion, name);
+  assert.equal(page.properties.Name.title.length, 2);
+});
+
+test("a full sync sees pages created after its snapshot", async () => {
+  const { notion } = createWorld();
+  // The webhook server imported inc-001 while the full sync was reading the database.
+  const { query } = notion.client.databases;
+  notion.client.databases.query = async (args) => (args.filter ? query(args) : { results: [], has_more: false, next_cursor: null });
+  await notion.client.pages.create({
+    parent: { type: "database_id", database_id: "db-startups" },
+    properties: {
+      Name: { title: [{ text: { content: "Acme Robotics" } }] },
+      "Submission ID": { rich_text: [{ text: { content: "inc-001" } }] },
+    },
+  });
+
+  const report = await main();
+  assert.notEqual(report.rows.find(r => r.submissionId === "inc-001").outcome, "created");
+  assert.equal(notion.pages().filter(p => titleOf(p) === "Acme Robotics").length, 1);
+});
+
+test("one failed new row among many duplicates fails the run", async () => {
+  const incoming = fixture("incoming");
+  const [acme] = incoming.rows;
+  for (let i = 1; i <= 12; i++) {
+    incoming.rows.push({ ...acme, "Submission ID": `inc-extra-${i}`, "What is your organisation's name?": `Extra Labs ${i}`,
+      "What is your email address?": `founder@extra-${i}.io`, "What is your company website?": `https://extra-${i}.io` });
+  }
+  const { sheets } = createWorld({ incoming });
+  await main();
+
+  sheets.append(INCOMING, { ...acme, "Submission ID": "inc-new", "Submitted at": "sometime last week",
+    "What is your organisation's name?": "Brand New", "What is your email address?": "x@brand-new.io" });
+  forgetSyncState();
+  const exitCode = process.exitCode;
+  process.exitCode = undefined;
+  const report = await main();
+  const failedRun = process.exitCode;
+  process.exitCode = exitCode;
+
+  assert.equal(report.counts.failed, 1);
+  assert.ok(report.counts["skipped-duplicate"] >= 15);
+  assert.equal(report.attempted, 1);
+  assert.equal(report.thresholdExceeded, true);
+  assert.equal(failedRun, 1);
+});
+
+test("an invalid FAILURE_THRESHOLD falls back to 0.1", () => {
+  assert.equal(failureThreshold(undefined), 0.1);
+  assert.equal(failureThreshold("0"), 0);
+  assert.equal(failureThreshold("0.25"), 0.25);
+  for (const typo of ["10%", "ten", "1.5", "-0.1"]) assert.equal(failureThreshold(typo), 0.1, typo);
+});
+
+test("dead-letter messages keep the property name but not the submitted values", () => {
+  assert.equal(
+    safeErrorMessage("body.properties.Founder Email.email should be a valid email, instead was `\"jane@acme\"`."),
+    "body.properties.Founder Email.email should be a valid email, instead was ….",
+  );
+  assert.equal(safeErrorMessage("Could not reach https://acme.io/deck?x=1 for jane@acme-robotics.io"), "Could not reach … for …");
+  assert.equal(safeErrorMessage(undefined), "");
+});
@@ -0,0 +1,172 @@
+import { test } from "node:test";
+import { createHash } from "node:crypto";
+import assert from "node:assert/strict";
+import { createWorld, fixture, forgetSyncState, readState, INCOMING, REFERENCES, titleOf, textOf, pageTitled } from "./helpers.js";
+import { main, reconcileReferences, eraseEmails } from "../index.js";
+
+// Referral · … toggles of a page, with their table rows as "label=value" strings.
+function referrals(notion, page) {
+  const insight = notion.children(page.id).find(b => textOf(b) === "Referral Insight");
+  return notion.children(insight.id).map(toggle => {
+    const table = notion.children(toggle.id).find(b => b.type === "table");
+    const rows = notion.children(table.id).map(r => r.table_row.cells.map(c => c.map(t => t.plain_text).join("")).join("="));
+    return { title: textOf(toggle), rows };
+  });
+}
+
+test("references attach to matching pages or become [REFERENCE] pages", async () => {
+  const { notion, sheets } = createWorld();
+  const report = await main();
+
+  const matched = report.rows.find(r => r.submissionId === "ref-001");
+  assert.equal(matched.outcome, "reference-matched");
+  assert.equal(matched.matchedTitle, "Acme Robotics");
+  // The reference's notes ("Jane Doe") name Acme's founder, but they are only
+  // listed in the reference table, not mapped to Founder Name or scored.
+  assert.ok(!matched.signals.some(s => s.name === "founder"));
+  const acme = pageTitled(notion, "Acme Robotics");
+  assert.deepEqual(referrals(notion, acme).map(r => r.title), ["Referral · ref-001"]);
+  assert.ok(referrals(notion, acme)[0].rows.includes("Referrer email=Rob@Fund.vc"));
+
+  const zeta = pageTitled(notion, "[REFERENCE] Zeta Grid");
+  assert.equal(zeta.properties["Moonstone Status"].select.name, "Form Referral");
+  assert.deepEqual(referrals(notion, zeta).map(r => r.title), ["Referral · ref-002", "Referral · ref-003"]);
+  assert.deepEqual(sheets.records(REFERENCES).map(r => r["Import Status"]), [
+    'matched to page "Acme Robotics"',
+    "standalone reference: [REFERENCE] Zeta Grid",
+    "standalone reference: [REFERENCE] Zeta Grid",
+  ]);
+});
+
+test("anonymous referrers are redacted and get no Referrers page", async () => {
+  const { notion } = createWorld();
+  await main();
+
+  const zeta = pageTitled(notion, "[REFERENCE] Zeta Grid");
+  const [anonymous, named] = referrals(notion, zeta);
+  assert.ok(anonymous.rows.includes("Referrer name=(anonymous)"));
+  assert.ok(anonymous.rows.includes("Referrer email=(anonymous)"));
+  assert.ok(!JSON.stringify(notion.pages()).includes("alex@quiet.vc"));
+  assert.ok(named.rows.includes("Referrer name=Rob Ref"));
+});
+
+test("referrers are upserted by normalised email and counted per startup", async () => {
+  const { notion } = createWorld();
+  await main();
+
+  const referrers = notion.pages().filter(p => p.parent.database_id === "db-referrers");
+  assert.deepEqual(referrers.map(titleOf), ["Rob Ref"]);
+  const [rob] = referrers;
+  assert.equal(rob.properties.Email.email, "rob@fund.vc");
+  assert.equal(rob.properties["Referral Count"].number, 2);
+
+  const zeta = pageTitled(notion, "[REFERENCE] Zeta Grid");
+  assert.equal(zeta.properties["Referral Count"].number, 2);
+  assert.deepEqual(zeta.properties.Referrers.relation.map(r => r.id), [rob.id]);
+  assert.deepEqual(zeta.properties["Referral Sectors"].multi_select.map(o => o.name), ["Energy", "Software"]);
+  assert.equal(new Date(zeta.properties["Latest Referral"].date.start).toISOString(), "2026-09-08T09:00:00.000Z");
+});
+
+test("referrer counts are re-read on every run", async () => {
+  const { notion, sheets } = createWorld();
+  await main();
+  const rob = notion.pages().find(p => p.parent.database_id === "db-referrers");
+
+  // Another process (the webhook server, say) counted two more referrals meanwhile.
+  await notion.client.pages.update({ page_id: rob.id, properties: { "Referral Count": { number: 4 } } });
+  sheets.append(REFERENCES, {
+    "Submission ID": "ref-004", "Submitted at": "2026-09-09T09:00:00Z",
+    "Referrer name": "Rob Ref", "Referrer email": "rob@fund.vc", "Startup's name": "Loudly",
+  });
+  await main();
+
+  assert.equal(notion.page(rob.id).properties["Referral Count"].number, 5);
+});
+
+test("a later application absorbs its [REFERENCE] page", async () => {
+  const { notion, sheets } = createWorld();
+  await main();
+  const reference = pageTitled(notion, "[REFERENCE] Zeta Grid");
+
+  sheets.append(INCOMING, {
+    "Submitted at": "2026-09-10T08:00:00Z", "Submission ID": "inc-006",
+    "Which entity are you applying to?": "Moonstone VC (Cleantech, Healthtech, Deeptech)",
+    "What is your organisation's name?": "Zeta Grid", "What is your email address?": "nora@zetagrid.io",
+    "What is your company website?": "https://zetagrid.io",
+  });
+  const report = await main();
+
+  const created = report.rows.find(r => r.submissionId === "inc-006");
+  assert.deepEqual(created.mergedReferences.map(m => m.title), ["[REFERENCE] Zeta Grid"]);
+  assert.equal(notion.page(reference.id).archived, true);
+  const zeta = pageTitled(notion, "Zeta Grid");
+  assert.deepEqual(referrals(notion, zeta).map(r => r.title), ["Referral · ref-002", "Referral · ref-003"]);
+  assert.equal(zeta.properties["Referral Count"].number, 2);
+});
+
+test("--reconcile-references merges existing pairs", async () => {
+  const incoming = fixture("incoming");
+  const { notion } = createWorld({ incoming: { ...incoming, rows: [] } });
+  await main();
+
+  await notion.client.pages.create({
+    parent: { database_id: "db-startups" },
+    properties: {
+      Name:              { title: [{ text: { content: "Zeta Grid" } }] },
+      "Founder Email":   { email: "nora@zetagrid.io" },
+      "Company Website": { url: "https://zetagrid.io" },
+    },
+  });
+  await reconcileReferences();
+
+  assert.equal(pageTitled(notion, "[REFERENCE] Zeta Grid"), undefined);
+  assert.equal(referrals(notion, pageTitled(notion, "Zeta Grid")).length, 2);
+});
+
+test("--erase scrubs a founder and a referrer and suppresses them", async () => {
+  const { notion } = createWorld();
+  await main();
+  const acme = pageTitled(notion, "Acme Robotics");
+
+  await eraseEmails(["jane@acme-robotics.io", "ROB@fund.vc"]);
+
+  const erased = notion.page(acme.id);
+  assert.equal(erased.archived, true);
+  assert.equal(erased.properties["Founder Email"].email, null);
+  assert.equal(notion.pages().filter(p => p.parent.database_id === "db-referrers").length, 0);
+  const zeta = pageTitled(notion, "[REFERENCE] Zeta Grid");
+  assert.deepEqual(referrals(notion, zeta).map(r => r.title), ["Referral · ref-002"]);
+  assert.equal(readState("erasure-report.json").pages.length, 2);
+  const { hashes } = readState("suppressed-emails.json");
+  assert.equal(hashes.length, 2);
+  // Keyed hashes: the plain SHA-256 of an address does not confirm it is listed.
+  assert.ok(!hashes.includes(createHash("sha256").update("jane@acme-robotics.io").digest("hex")));
+
+  forgetSyncState();
+  const rerun = await main();
+  assert.equal(rerun.rows.find(r => r.submissionId === "inc-001").outcome, "skipped-suppressed");
+  assert.equal(rerun.rows.find(r => r.submissionId === "ref-001").outcome, "skipped-suppressed");
+
+  const key = process.env.SUPPRESSION_KEY;
+  process.env.SUPPRESSION_KEY = "another-key";
+  try {
+    await assert.rejects(main(), /SUPPRESSION_KEY does not match/);
+  } finally {
+    process.env.SUPPRESSION_KEY = key;
+  }
+});
+
+test("--erase matches whole addresses only", async () => {
+  const { notion } = createWorld();
+  await main();
+  const zeta = pageTitled(notion, "[REFERENCE] Zeta Grid");
+  const before = referrals(notion, zeta).map(r => r.title);
+
+  // "ob@fund.vc" is part of rob@fund.vc but a different address.
+  await eraseEmails(["ob@fund.vc"]);
+
+  assert.deepEqual(referrals(notion, notion.page(zeta.id)).map(r => r.title), before);
+  assert.equal(notion.page(zeta.id).archived, false);
+  assert.deepEqual(readState("erasure-report.json").referrals, []);
+  assert.deepEqual(readState("erasure-report.json").pages, []);
+});
@@ -0,0 +1,29 @@
+// Environment for the offline tests. Imported before index.js, which reads its
+// configuration at import time.
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const STATE_DIR = mkdtempSync(join(tmpdir(), "moonstone-importer-test-"));
+
+Object.assign(process.env, {
+  NOTION_API_KEY:               "test",
+  NOTION_DATABASE_ID:           "db-startups",
+  NOTION_REFERRERS_DATABASE_ID: "db-referrers",
+  GOOGLE_SHEET_ID_INCOMING:     "sheet-incoming",
+  GOOGLE_SHEET_ID_REFS:         "sheet-references",
+  SHEET_WRITE_BACK:             "true",
+  NOTION_RATE_LIMIT:            "1000",
+  RULES_FILE:                   fileURLToPath(new URL("../rules.example.json", import.meta.url)),
+  SYNC_STATE_FILE:              join(STATE_DIR, "sync-state.json"),
+  DEAD_LETTER_FILE:             join(STATE_DIR, "dead-letters.json"),
+  RUN_REPORT_FILE:              join(STATE_DIR, "run-report.json"),
+  SUPPRESSION_FILE:             join(STATE_DIR, "suppressed-emails.json"),
+  SUPPRESSION_KEY:              "test-suppression-key",
+  ERASURE_REPORT_FILE:          join(STATE_DIR, "erasure-report.json"),
+});
+delete process.env.GITHUB_STEP_SUMMARY;
+delete process.env.GITHUB_ACTIONS;
+delete process.env.MAPPING_FILE;
+process.on("exit", () => rmSync(STATE_DIR, { recursive: true, force: true }));
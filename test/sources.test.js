@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { createWorld, pageTitled, textOf } from "./helpers.js";
+import { importFile, fileSource } from "../index.js";
+
+const fixturePath = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+const MOONSTONE = "Moonstone VC (Cleantech, Healthtech, Deeptech)";
+
+test("reads quoted, multi-line and semicolon-separated CSV", async () => {
+  const { headers, values } = await fileSource(fixturePath("signups.csv")).read();
+  assert.equal(headers.length, 6);
+  assert.equal(values.length, 2);
+  assert.equal(values[0][5], 'We met at the "Climate Night" pitch.\nDeck follows by email.');
+  assert.equal(values[1][4], "Cleantech, Healthtech");
+});
+
+test("reads the first XLSX worksheet with dates, rich text and formula results", async () => {
+  const { headers, values } = await fileSource(fixturePath("signups.xlsx")).read();
+  assert.equal(headers[0], "Submitted at");
+  assert.deepEqual(values.map(r => [r[0], r[3], r[5]]), [
+    ["2026-09-01T12:00:00.000Z", "Nordlicht Bio", "750"],
+    ["2026-09-02T06:00:00.000Z", "Q&A Labs", "1,2M"],
+  ]);
+});
+
+test("imports an event sign-up CSV through the mapping aliases", async () => {
+  const { notion } = createWorld();
+  const report = await importFile(fixturePath("signups.csv"), { entity: MOONSTONE });
+  assert.equal(report.counts.created, 2);
+
+  const fernwald = pageTitled(notion, "Fernwald Energy");
+  assert.equal(fernwald.properties["Founder Email"].email, "mara@fernwald.energy");
+  assert.equal(fernwald.properties["Moonstone Status"].select.name, "Form Inbound");
+  assert.match(fernwald.properties["Submission ID"].rich_text[0].plain_text, /^csv-[0-9a-f]{12}$/);
+  const form = notion.children(fernwald.id).find(b => textOf(b) === "Form");
+  assert.deepEqual(notion.toggle(form.id, "Anything else?").map(textOf), [
+    'We met at the "Climate Night" pitch.\nDeck follows by email.',
+  ]);
+
+  // Content-derived Submission IDs make re-importing the same file a no-op.
+  const pages = notion.pages().length;
+  const again = await importFile(fixturePath("signups.csv"), { entity: MOONSTONE });
+  assert.equal(again.counts["skipped-duplicate"], 2);
+  assert.equal(notion.pages().length, pages);
+});
+
+test("rows without an entity are skipped unless --entity is given", async () => {
+  createWorld();
+  const report = await importFile(fixturePath("signups.csv"));
+  assert.equal(report.counts["skipped-unknown-entity"], 2);
+});
+
+test("imports XLSX exports with dates, numbers and rich text", async () => {
+  const { notion } = createWorld();
+  const report = await importFile(fixturePath("signups.xlsx"));
+  assert.equal(report.counts.created, 2);
+
+  const nordlicht = pageTitled(notion, "Nordlicht Bio");
+  assert.equal(nordlicht.properties["Form filled out:"].date.start, "2026-09-01T12:00:00.000Z");
+  assert.equal(nordlicht.properties["Current raise in kEUR"].number, 750);
+  const qaLabs = pageTitled(notion, "Q&A Labs");
+  assert.equal(qaLabs.properties["Current raise in kEUR"].number, 1200);
+  assert.equal(qaLabs.properties["Submission ID"].rich_text[0].plain_text, "x-101");
+});
+
+test("imports Typeform and Tally webhook payloads", async () => {
+  const { notion } = createWorld();
+  const typeform = await importFile(fixturePath("typeform.json"));
+  const tally = await importFile(fixturePath("tally.json"));
+  assert.equal(typeform.counts.created, 1);
+  assert.equal(tally.counts.created, 1);
+
+  const solvane = pageTitled(notion, "Solvane");
+  assert.equal(solvane.properties["Submission ID"].rich_text[0].plain_text, "tf-a1b2c3");
+  assert.equal(solvane.properties["Form filled out:"].date.start, "2026-09-03T08:15:00.000Z");
+  assert.deepEqual(solvane.properties.Sector.multi_select.map(o => o.name), ["Cleantech", "Deeptech"]);
+
+  const reelhaus = pageTitled(notion, "Reelhaus");
+  assert.equal(reelhaus.properties["Submission ID"].rich_text[0].plain_text, "mO9xQ2");
+  assert.equal(reelhaus.properties["Urban Venture Status"].select.name, "Form Inbound");
+  assert.equal(reelhaus.properties.Deck.files[0].external.url, "https://storage.tally.so/private/reelhaus-deck.pdf");
+});